@@ -1,8 +1,16 @@
 /* global Package: false */
 import { mocha } from 'meteor/meteortesting:mocha-core';
 import prepForHTMLReporter from './prepForHTMLReporter';
+import createTestDashboard from './testDashboard';
+import { createMultiReporter } from './multiReporter';
+import { streamRunnerEvents } from './runnerEvents';
+import applyMochaOptions, { overrideRetries, setBrowserReporter } from './mochaOptions';
+import { applyShard } from './testShards';
 import './browser-shim';
 
+// Before the test files are loaded, since they may use another interface
+applyMochaOptions(mocha, (Meteor.settings.public.mochaRuntimeArgs || {}).mochaOptions);
+
 let uncaughtExceptions = 0;
 window.addEventListener('error', () => {
   uncaughtExceptions++;
@@ -14,6 +22,16 @@ function saveCoverage(config, done) {
     return;
   }
 
+  // With V8 coverage the server takes it from the browser, which is closed once the tests are done
+  if (config.provider === 'v8') {
+    fetch('/test/client-coverage', { method: 'POST' })
+      .then((response) => {
+        if (response.status !== 204) console.error('Failed to collect client coverage');
+      }, () => console.error('Failed to collect client coverage'))
+      .then(done);
+    return;
+  }
+
   if (typeof Package === 'undefined' || !Package.meteor || !Package.meteor.Meteor || !Package.meteor.Meteor.sendCoverage) {
     console.error('Coverage package missing or not correclty launched');
     done();
@@ -30,20 +48,62 @@ function saveCoverage(config, done) {
   });
 }
 
-// Run the client tests. Meteor calls the `runTests` function exported by
-// the driver package on the client.
-function runTests() {
-  // We need to set the reporter when the tests actually run. This ensures that the
-  // correct reporter is used in the case where another Mocha test driver package is also
-  // added to the app. Since both are testOnly packages, top-level client code in both
-  // will run, potentially changing the reporter.
-  const { mochaOptions, runnerOptions, coverageOptions } = Meteor.settings.public.mochaRuntimeArgs || {};
+/**
+ * Send runner events to the server in order, batching the events of each tick into one request
+ * `flush()` resolves once everything sent so far has been delivered.
+ */
+function createEventSender() {
+  let pending = [];
+  let sending = Promise.resolve();
+  let onCancel = null;
+  let cancelled = false;
 
-  if (!runnerOptions.runClient) return;
+  // The server answers with `{ cancelled: true }` once it has given up on this run, e.g. in
+  // watch mode when the client code changed while it was running
+  const checkCancelled = (response) => {
+    if (response.status !== 200) return undefined;
+    return response.json().then((result) => {
+      if (!result.cancelled || cancelled) return;
+      cancelled = true;
+      if (onCancel) onCancel();
+    });
+  };
 
-  const { clientReporter, grep, invert, reporter } = mochaOptions || {};
+  const flush = () => {
+    if (pending.length > 0) {
+      const events = pending;
+      pending = [];
+      sending = sending
+        .then(() => fetch('/test/client-events', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(events),
+        }))
+        .then(checkCancelled)
+        .catch((error) => {
+          console.error('Failed to send client test events to the server', error);
+        });
+    }
+    return sending;
+  };
+
+  return {
+    send(event) {
+      if (pending.length === 0) setTimeout(flush, 0);
+      pending.push(event);
+    },
+    flush,
+    whenCancelled(callback) {
+      onCancel = callback;
+    },
+  };
+}
+
+function runMocha({ mochaOptions, runnerOptions, coverageOptions }) {
+  const { clientReporter, clientReporters, grep, invert, bail, reporter, reporterOptions } = mochaOptions || {};
   if (grep) mocha.grep(grep);
   if (invert) mocha.invert(invert);
+  if (bail) mocha.bail(true);
 
   // The chrome/webdriver logging adapter seems to escape color
   // codes, so we can't support colors for that adapter.
@@ -52,29 +112,125 @@ function runTests() {
     mocha.color(true);
   }
 
-  let currentReporter = clientReporter || reporter;
-  if (!currentReporter) {
-    currentReporter = runnerOptions.browserDriver ? 'spec' : 'html';
-  }
+  const Mocha = mocha.constructor;
+  let dashboard = null;
 
-  if (currentReporter === 'html') {
-    // If we're not running client tests automatically in a headless browser, then we
-    // probably are going to want to see an HTML reporter when we load the page.
-    prepForHTMLReporter(mocha);
-  }
+  // A headless browser sends its runner events to the server. Launched by `meteor test`, the
+  // server runs the client reporters on them, so the browser only keeps count. The daemon
+  // streams them as structured events, and still picks the reporter of each run itself.
+  const sendEventsToServer = !!runnerOptions.browserDriver;
+  const reportOnServer = sendEventsToServer && !runnerOptions.daemon;
 
-  mocha.reporter(currentReporter);
+  if (reportOnServer) {
+    mocha.reporter(Mocha.reporters.Base);
+  } else if (clientReporters && !runnerOptions.daemon) {
+    if (clientReporters.some(({ name }) => name === 'html')) {
+      prepForHTMLReporter(mocha);
+    }
+    // Report files are written by the server, which only happens in a headless browser
+    const consoleReporters = clientReporters.filter(({ output }) => !output);
+    setBrowserReporter(mocha, createMultiReporter(Mocha, consoleReporters, {
+      stdout: Mocha.process && Mocha.process.stdout,
+    }), reporterOptions);
+  } else {
+    let currentReporter = clientReporter || reporter;
+    if (!currentReporter) {
+      currentReporter = runnerOptions.browserDriver ? 'spec' : 'html';
+    }
+
+    if (currentReporter === 'html' && runnerOptions.dashboard && !runnerOptions.daemon) {
+      // A panel around the HTML reporter, with a filter and buttons to run tests again in place
+      const rerun = (pattern) => {
+        mocha.suite.reset();
+        mocha.grep(pattern);
+        // The filter in the panel selects what runs, so it is never inverted
+        mocha.options.invert = false;
+        dashboard.watchRun(mocha.run());
+      };
+      dashboard = createTestDashboard({ grep: grep || '', onRun: rerun });
+      mocha.cleanReferencesAfterRun(false);
+    } else if (currentReporter === 'html') {
+      // If we're not running client tests automatically in a headless browser, then we
+      // probably are going to want to see an HTML reporter when we load the page.
+      prepForHTMLReporter(mocha);
+    }
+
+    setBrowserReporter(mocha, currentReporter, reporterOptions);
+  }
 
   // These `window` properties are all used by the client testing script in the
   // browser-tests package to know what is happening.
   window.testsAreRunning = true;
-  mocha.run((failures) => {
-    saveCoverage(coverageOptions, () => {
+  const sender = sendEventsToServer ? createEventSender() : null;
+  const runner = mocha.run((failures) => {
+    // The browser is closed once the tests are done, so every event has to be delivered first
+    const delivered = sender ? sender.flush() : Promise.resolve();
+    delivered.then(() => saveCoverage(coverageOptions, () => {
       window.testsAreRunning = false;
       window.testFailures = failures + uncaughtExceptions;
       window.testsDone = true;
-    });
+    }));
   });
+
+  if (sender) {
+    streamRunnerEvents(runner, sender.send, Mocha);
+    // Stops after the current test; the results of the run are discarded anyway
+    sender.whenCancelled(() => runner.abort());
+  }
+  if (dashboard) {
+    dashboard.watchRun(runner);
+  }
+}
+
+// In daemon mode the grep/invert/bail/reporter options belong to the run that
+// launched this browser, so we ask the daemon for them instead of using the
+// options the server started with. They are null when there is no client run
+// for this page, e.g. in a tab opened on the app by hand.
+function fetchDaemonRunOptions(callback) {
+  fetch('/test/client-run')
+    .then((response) => response.json())
+    .then((options) => callback(options))
+    .catch((error) => {
+      console.error('Failed to load client run options from the test daemon', error);
+      // Still tell the browser driver the run is over, so the daemon doesn't wait for it
+      window.testFailures = 1;
+      window.testsDone = true;
+    });
+}
+
+// Run the client tests. Meteor calls the `runTests` function exported by
+// the driver package on the client.
+function runTests() {
+  // We need to set the reporter when the tests actually run. This ensures that the
+  // correct reporter is used in the case where another Mocha test driver package is also
+  // added to the app. Since both are testOnly packages, top-level client code in both
+  // will run, potentially changing the reporter.
+  const {
+    mochaOptions, runnerOptions, coverageOptions, shardOptions,
+  } = Meteor.settings.public.mochaRuntimeArgs || {};
+
+  if (runnerOptions.daemon) {
+    // The daemon only runs client tests in the headless browser it launches
+    if (!runnerOptions.browserDriver) return;
+    fetchDaemonRunOptions((daemonOptions) => {
+      if (!daemonOptions) return;
+      // The browser loads the tests anew for every daemon run, so nothing needs restoring
+      if (daemonOptions.retries !== undefined) overrideRetries(mocha.suite, daemonOptions.retries);
+      runMocha({
+        mochaOptions: { ...mochaOptions, ...daemonOptions },
+        runnerOptions,
+        coverageOptions,
+      });
+    });
+    return;
+  }
+
+  if (!runnerOptions.runClient) return;
+
+  // Browsers don't know the source files of the suites, so they are split by title
+  if (shardOptions) applyShard(mocha.suite, shardOptions, 'client');
+
+  runMocha({ mochaOptions, runnerOptions, coverageOptions });
 }
 
 export { runTests };
@@ -0,0 +1,70 @@
+/**
+ * Apply the options of the app's Mocha config that hold for the whole run,
+ * to `mochaInstance` on the server and `mocha` in the browser
+ * The interface is set up again for the test files that are loaded afterwards.
+ * @param {object} instance - the Mocha instance
+ * @param {object} options - `mochaOptions` from the runtime args
+ */
+export default function applyMochaOptions(instance, {
+  timeout, slow, retries, bail, forbidOnly, forbidPending, checkLeaks, ui,
+} = {}) {
+  if (timeout !== undefined) instance.timeout(timeout);
+  if (slow !== undefined) instance.slow(slow);
+  if (retries !== undefined) instance.retries(retries);
+  if (bail) instance.bail(true);
+  if (forbidOnly) instance.forbidOnly();
+  if (forbidPending) instance.forbidPending();
+  if (checkLeaks) instance.checkLeaks();
+  // mocha-core sets up the BDD interface
+  if (ui && ui !== 'bdd') {
+    instance.ui(ui);
+    // The browser build does this in `ui()` itself
+    if (typeof window === 'undefined') instance.suite.emit('pre-require', global, null, instance);
+  }
+}
+
+/**
+ * Set the number of retries of every suite and test already loaded, since Mocha only passes
+ * a suite's retries on to the suites and tests created after it was set
+ * @param {object} rootSuite
+ * @param {number} retries
+ * @returns {Function} restores the retries each suite and test had before
+ */
+export function overrideRetries(rootSuite, retries) {
+  const previous = [];
+  const visit = (suite) => {
+    [suite, ...suite.tests].forEach((runnable) => {
+      previous.push([runnable, runnable.retries()]);
+      runnable.retries(retries);
+    });
+    suite.suites.forEach(visit);
+  };
+  visit(rootSuite);
+
+  return () => previous.forEach(([runnable, value]) => runnable.retries(value));
+}
+
+// Reporter options that name a file to write to
+const FILE_OPTIONS = ['output'];
+
+/**
+ * The reporter options, minus those that name a file to write to
+ * The browser can't write files, and the server writes the client reports to the files set for
+ * the client, not to those of its own reporter.
+ * @param {object} reporterOptions - `mochaOptions.reporterOptions` from the runtime args
+ */
+export function withoutFileOptions(reporterOptions = {}) {
+  return Object.keys(reporterOptions)
+    .filter((name) => !FILE_OPTIONS.includes(name))
+    .reduce((options, name) => ({ ...options, [name]: reporterOptions[name] }), {});
+}
+
+/**
+ * Set the reporter of `mocha` in the browser, which has no files to write to
+ * @param {object} instance - the Mocha instance
+ * @param {string|Function} reporter - a reporter name or constructor
+ * @param {object} reporterOptions - `mochaOptions.reporterOptions` from the runtime args
+ */
+export function setBrowserReporter(instance, reporter, reporterOptions) {
+  instance.reporter(reporter, withoutFileOptions(reporterOptions));
+}
@@ -0,0 +1,130 @@
+/**
+ * Parse a reporter list such as `spec,xunit:out/server.xml,json:out/server.json`
+ * Each entry is a reporter name, optionally followed by the file its output goes to.
+ * Without a file, the reporter writes to the console.
+ * @returns {Array<{name: string, output: string|undefined}>}
+ */
+export function parseReporters(list) {
+  if (!list) return undefined;
+  return list.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) return { name: entry, output: undefined };
+    return { name: entry.slice(0, separator), output: entry.slice(separator + 1) || undefined };
+  });
+}
+
+export function formatReporters(reporters) {
+  return reporters.map(({ name, output }) => (output ? `${name}:${output}` : name)).join(',');
+}
+
+/**
+ * Format console.log arguments the way Node does for the placeholders Mocha's reporters use
+ */
+function formatLog(format, ...args) {
+  if (typeof format !== 'string') return [format, ...args].map(String).join(' ');
+  const rest = [...args];
+  const text = format.replace(/%[sdij%]/g, (placeholder) => {
+    if (placeholder === '%%') return '%';
+    if (rest.length === 0) return placeholder;
+    const value = rest.shift();
+    if (placeholder === '%j') return JSON.stringify(value);
+    if (placeholder === '%d' || placeholder === '%i') return String(Number(value));
+    return String(value);
+  });
+  return [text, ...rest.map(String)].join(' ');
+}
+
+/**
+ * Wrap a runner so that whatever the listeners registered through it print goes to `write` instead
+ * Mocha emits events synchronously, so swapping the console while a listener runs catches
+ * everything the reporter prints for that event. Colors are kept only if `colors` is set.
+ */
+function redirectRunner(runner, write, options) {
+  const { Base, stdout, colors } = options;
+  const redirect = (listener) => function redirected(...args) {
+    const { log } = console;
+    const { consoleLog, useColors } = Base;
+    const stdoutWrite = stdout && stdout.write;
+    const capture = (...parts) => write(`${parts.length > 0 ? formatLog(...parts) : ''}\n`);
+    console.log = capture;
+    Base.consoleLog = capture;
+    Base.useColors = useColors && colors;
+    if (stdout) {
+      stdout.write = (chunk) => {
+        write(String(chunk));
+        return true;
+      };
+    }
+    try {
+      return listener.apply(this, args);
+    } finally {
+      console.log = log;
+      Base.consoleLog = consoleLog;
+      Base.useColors = useColors;
+      if (stdout) stdout.write = stdoutWrite;
+    }
+  };
+
+  const proxy = new Proxy(runner, {
+    get(target, property) {
+      if (['on', 'once', 'addListener', 'prependListener'].includes(property)) {
+        return (event, listener) => {
+          target[property](event, redirect(listener));
+          return proxy;
+        };
+      }
+      return target[property];
+    },
+  });
+  return proxy;
+}
+
+/**
+ * Build a reporter that runs several Mocha reporters on the same run
+ * @param {Function} Mocha - the Mocha constructor, for its built-in reporters
+ * @param {Array<{name, output}>} reporters - as returned by `parseReporters`
+ * @param {object} options
+ * @param {Function} [options.write] - `(output, chunk)`, called with everything a reporter with an output file prints
+ * @param {Function} [options.console] - `(chunk)`, called with everything the other reporters print,
+ *   instead of printing it to the console
+ * @param {object} [options.stdout] - the stream reporters write progress to, if the platform has one
+ */
+export function createMultiReporter(Mocha, reporters, { write, console: writeConsole, stdout }) {
+  const { Base } = Mocha.reporters;
+  const classes = reporters.map(({ name }) => {
+    const Reporter = Mocha.reporters[name] || Mocha.reporters[name.toLowerCase()];
+    if (typeof Reporter !== 'function') {
+      throw new Error(`Unknown reporter: ${name}`);
+    }
+    return Reporter;
+  });
+
+  return function MultiReporter(runner, options) {
+    const instances = reporters.map(({ output }, index) => {
+      const Reporter = classes[index];
+      let reporterRunner = runner;
+      if (output) {
+        reporterRunner = redirectRunner(runner, (chunk) => write(output, chunk), { Base, stdout, colors: false });
+      } else if (writeConsole) {
+        reporterRunner = redirectRunner(runner, writeConsole, { Base, stdout, colors: true });
+      }
+      return new Reporter(reporterRunner, options);
+    });
+
+    this.stats = runner.stats;
+
+    // Reporters that write asynchronously, like xunit to a file, finish in `done`
+    this.done = (failures, callback) => {
+      const pending = instances.filter((instance) => typeof instance.done === 'function');
+      const next = () => {
+        const instance = pending.shift();
+        if (instance) {
+          instance.done(failures, next);
+        } else {
+          callback(failures);
+        }
+      };
+      next();
+    };
+  };
+}
@@ -7,16 +7,29 @@ Package.describe({
   testOnly: true,
 });
 
+// Parses .mocharc.yaml files; collects and converts V8 coverage for COVERAGE_PROVIDER=v8
+Npm.depends({
+  'js-yaml': '3.14.0',
+  'chrome-remote-interface': '0.31.3',
+  'istanbul-lib-coverage': '3.2.0',
+  'istanbul-lib-report': '3.0.0',
+  'istanbul-reports': '3.1.5',
+  'v8-to-istanbul': '8.1.1',
+});
+
 Package.onUse(function onUse(api) {
   api.use([
     'meteortesting:mocha-core@8.0.0',
     'ecmascript@0.15.1',
   ]);
 
-  api.use(['meteortesting:browser-tests@1.4.2', 'http@1.0.0 || 2.0.0'], 'server');
-  api.use('browser-policy@1.0.0', 'server', { weak: true });
+  api.use(['meteortesting:browser-tests@1.4.2', 'fetch@0.1.1'], 'server');
   api.use('lmieulet:meteor-coverage@1.1.4 || 2.0.1 || 3.0.0 || 4.1.0', 'client', { weak: true });
 
+  // Stylesheet of the HTML reporter, from the Mocha release bundled by mocha-core,
+  // and of the test panel around it
+  api.addAssets(['mocha.css', 'dashboard.css'], 'client');
+
   api.mainModule('client.js', 'client');
   api.mainModule('server.js', 'server');
 });
@@ -1,9 +1,24 @@
-export default function prepForHTMLReporter() {
-  // Add the CSS from CDN
+/* global __meteor_runtime_config__ */
+
+// Served by Meteor from this package's assets, on the app's own origin so they work offline
+// and with a `style-src 'self'` content security policy
+const ASSETS_PATH = '/packages/meteortesting_mocha';
+
+/**
+ * Add one of the stylesheets shipped with this package to the page
+ */
+export function addStylesheet(file) {
+  // eslint-disable-next-line camelcase
+  const { ROOT_URL_PATH_PREFIX = '' } = typeof __meteor_runtime_config__ === 'object' ? __meteor_runtime_config__ : {};
   const link = document.createElement('link');
   link.setAttribute('rel', 'stylesheet');
-  link.setAttribute('href', 'https://cdn.rawgit.com/mochajs/mocha/2.2.5/mocha.css');
+  link.setAttribute('href', `${ROOT_URL_PATH_PREFIX}${ASSETS_PATH}/${file}`);
   document.head.appendChild(link);
+}
+
+export default function prepForHTMLReporter() {
+  // Add the CSS shipped with this package
+  addStylesheet('mocha.css');
 
   // Add the div#mocha in which test results HTML will be placed
   const div = document.createElement('div');
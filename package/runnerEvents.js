@@ -0,0 +1,139 @@
+// Mocha runner events that are forwarded as structured events, by the name Mocha emits them under
+export const FORWARDED_EVENTS = ['suite', 'test', 'pass', 'fail', 'pending', 'hook end', 'retry'];
+
+/**
+ * Find the source file of a suite, test or hook
+ * Only suites get `file` set by the describe() wrapper, so walk up the parents
+ */
+export function findFile(runnable) {
+  let current = runnable;
+  while (current) {
+    if (current.file) return current.file;
+    current = current.parent;
+  }
+  return undefined;
+}
+
+/**
+ * Build a diff the same way Mocha's reporters do, but without ANSI colors
+ */
+function generateDiff(err, Mocha) {
+  if (!Mocha || !Mocha.reporters || !Mocha.reporters.Base || !Mocha.reporters.Base.generateDiff) return undefined;
+  if (err.showDiff === false || err.actual === undefined || err.expected === undefined) return undefined;
+
+  const { Base } = Mocha.reporters;
+  const { stringify } = Mocha.utils || {};
+  let { actual, expected } = err;
+  if (stringify && (typeof actual !== 'string' || typeof expected !== 'string')) {
+    actual = stringify(actual);
+    expected = stringify(expected);
+  }
+
+  const { useColors } = Base;
+  Base.useColors = false;
+  try {
+    return Base.generateDiff(actual, expected);
+  } catch (e) {
+    return undefined;
+  } finally {
+    Base.useColors = useColors;
+  }
+}
+
+/**
+ * Convert an error into plain data that survives JSON.stringify
+ * `actual` and `expected` are kept as strings, which is enough for reporters to show a diff.
+ */
+export function serializeError(err, Mocha) {
+  if (!err) return undefined;
+  const data = {
+    message: err.message || String(err),
+    stack: err.stack,
+    diff: generateDiff(err, Mocha),
+  };
+  const { stringify } = (Mocha && Mocha.utils) || {};
+  if (stringify && err.showDiff !== false && err.actual !== undefined && err.expected !== undefined) {
+    data.actual = typeof err.actual === 'string' ? err.actual : stringify(err.actual);
+    data.expected = typeof err.expected === 'string' ? err.expected : stringify(err.expected);
+  }
+  return data;
+}
+
+/**
+ * Convert a suite, test or hook into plain data that survives JSON.stringify
+ */
+export function serializeRunnable(runnable) {
+  const data = {
+    title: runnable.title,
+    fullTitle: runnable.fullTitle(),
+    file: findFile(runnable),
+  };
+  if (runnable.type) data.kind = runnable.type; // 'test' or 'hook'
+  // A failing hook stands for the tests of its suite
+  if (runnable.type === 'hook' && runnable.parent) data.suiteTitle = runnable.parent.fullTitle();
+  if (typeof runnable.duration === 'number') data.duration = runnable.duration;
+  // How many times a test ran again after failing
+  if (runnable.type === 'test' && typeof runnable.currentRetry === 'function' && runnable.currentRetry() > 0) {
+    data.retries = runnable.currentRetry();
+  }
+  return data;
+}
+
+/**
+ * Listen to a Mocha runner and pass each forwarded event to `emit` as
+ * `{ type, ...serialized }`. The root suite is skipped since it has no title.
+ */
+export function forwardRunnerEvents(runner, emit, Mocha) {
+  FORWARDED_EVENTS.forEach((type) => {
+    runner.on(type, (runnable, err) => {
+      if (type === 'suite' && runnable.root) return;
+      const event = { type, ...serializeRunnable(runnable) };
+      if (type === 'fail' || type === 'retry') event.err = serializeError(err, Mocha);
+      emit(event);
+    });
+  });
+}
+
+// Every runner event reporters listen to, for rebuilding the run elsewhere
+const STREAMED_EVENTS = ['start', 'end', 'suite', 'suite end', 'test', 'test end', 'hook', 'hook end', 'pass', 'fail', 'pending', 'retry'];
+
+/**
+ * Listen to a Mocha runner and pass every event to `emit`, with enough detail for
+ * `createRunnerFromEvents` to replay it. Suites, tests and hooks get an `id` that stays
+ * the same across their events, and a `parentId` to rebuild the tree.
+ */
+export function streamRunnerEvents(runner, emit, Mocha) {
+  const ids = new WeakMap();
+  let nextId = 1;
+  const idOf = (runnable) => {
+    if (!runnable) return undefined;
+    if (!ids.has(runnable)) ids.set(runnable, nextId++);
+    return ids.get(runnable);
+  };
+
+  const describeRunnable = (runnable) => ({
+    id: idOf(runnable),
+    parentId: idOf(runnable.parent),
+    kind: runnable.type || 'suite',
+    title: runnable.title,
+    file: findFile(runnable),
+    root: !!runnable.root,
+    pending: !!runnable.pending,
+    duration: runnable.duration,
+    state: runnable.state,
+    speed: runnable.speed,
+    timedOut: runnable.timedOut,
+    slow: typeof runnable.slow === 'function' ? runnable.slow() : undefined,
+    currentRetry: typeof runnable.currentRetry === 'function' ? runnable.currentRetry() : undefined,
+  });
+
+  STREAMED_EVENTS.forEach((type) => {
+    runner.on(type, (runnable, err) => {
+      const event = { type };
+      if (type === 'start') event.total = runner.total;
+      if (runnable && type !== 'start' && type !== 'end') event.runnable = describeRunnable(runnable);
+      if (err) event.err = serializeError(err, Mocha);
+      emit(event);
+    });
+  });
+}
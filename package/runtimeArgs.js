@@ -1,21 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+
+import { parseReporters } from './multiReporter';
+import loadConfig, { printConfig } from './server.config';
+import loadMochaConfig from './server.mochaConfig';
+import { parseShard } from './testShards';
+import { parseCoverageThresholds } from './server.coverageThresholds';
+
+// Only what sharding needs of a previous JSON report, since the client gets a copy too
+function loadShardTimings(file, appDir) {
+  try {
+    const { tests = [] } = JSON.parse(fs.readFileSync(path.resolve(appDir, file), 'utf8'));
+    return {
+      tests: tests.map(({ side, file: testFile, fullTitle, duration }) => ({ side, file: testFile, fullTitle, duration })),
+    };
+  } catch (e) {
+    console.error(`Failed to read the timings of TEST_SHARD_TIMINGS, splitting by file instead: ${e.message}`);
+    return undefined;
+  }
+}
+
 export default function setArgs() {
+  const {
+    METEOR_AUTO_RESTART, // Introduced in Meteor 1.8.1 to indicate if this instance will automatically restart after exiting. https://github.com/meteor/meteor/pull/10465
+    PWD,
+  } = process.env;
+  const appDir = PWD || process.cwd();
+
+  // From lowest to highest precedence: mocha.config.js, Meteor.settings.mocha, then the environment variables
+  const config = loadConfig({ appDir, settings: Meteor.settings.mocha, env: process.env });
+  if (config.values.TEST_PRINT_CONFIG) printConfig(config);
   const {
     MOCHA_GREP,
     MOCHA_INVERT,
     MOCHA_REPORTER,
+    MOCHA_TIMEOUT,
+    MOCHA_RETRIES,
     CLIENT_TEST_REPORTER,
     SERVER_TEST_REPORTER,
+    CLIENT_TEST_REPORTERS,
+    SERVER_TEST_REPORTERS,
     TEST_BROWSER_DRIVER,
     TEST_CLIENT,
     TEST_PARALLEL,
+    TEST_SERVER_WORKERS,
+    TEST_WORKER_INDEX,
     TEST_SERVER,
     TEST_WATCH,
-    METEOR_AUTO_RESTART, // Introduced in Meteor 1.8.1 to indicate if this instance will automatically restart after exiting. https://github.com/meteor/meteor/pull/10465
+    TEST_DASHBOARD,
+    TEST_DAEMON,
+    TEST_FILE_PATTERN,
+    TEST_SHARD,
+    TEST_SHARD_TIMINGS,
+    TEST_DB_RESET,
+    TEST_DB_RESET_WHEN,
+    TEST_DB_RESET_COLLECTIONS,
+    TEST_DB_RESET_EXCLUDE,
     XUNIT_FILE,
     SERVER_MOCHA_OUTPUT,
     CLIENT_MOCHA_OUTPUT,
+    COMBINED_REPORT_XML,
+    COMBINED_REPORT_JSON,
     COVERAGE,
     COVERAGE_VERBOSE,
+    COVERAGE_PROVIDER,
+    COVERAGE_BROWSER_PORT,
     COVERAGE_IN_COVERAGE,
     COVERAGE_OUT_COVERAGE,
     COVERAGE_OUT_LCOVONLY,
@@ -24,43 +73,140 @@ export default function setArgs() {
     COVERAGE_OUT_JSON_SUMMARY,
     COVERAGE_OUT_TEXT_SUMMARY,
     COVERAGE_OUT_REMAP,
-  } = process.env;
+    COVERAGE_OUT_DIR,
+    COVERAGE_APP_FOLDER,
+    COVERAGE_SUMMARY_FILE,
+    COVERAGE_THRESHOLD_LINES,
+    COVERAGE_THRESHOLD_BRANCHES,
+    COVERAGE_THRESHOLD_FUNCTIONS,
+    COVERAGE_THRESHOLD_STATEMENTS,
+  } = config.values;
+
+  // From lowest to highest precedence: the `mocha` key of package.json, .mocharc.json,
+  // .mocharc.yaml, .mocharc.yml, .mocharc.cjs, .mocharc.js, then the configuration above
+  const mochaConfig = loadMochaConfig(appDir);
 
   const runtimeArgs = {
     mochaOptions: {
-      grep: MOCHA_GREP || false,
-      invert: !!MOCHA_INVERT,
-      reporter: MOCHA_REPORTER,
+      ...mochaConfig,
+      grep: MOCHA_GREP || mochaConfig.grep || false,
+      invert: MOCHA_INVERT !== undefined ? MOCHA_INVERT : !!mochaConfig.invert,
+      reporter: MOCHA_REPORTER || mochaConfig.reporter,
+      reporterOptions: mochaConfig.reporterOptions || {},
+      timeout: MOCHA_TIMEOUT !== undefined ? MOCHA_TIMEOUT : mochaConfig.timeout,
+      // Failed tests run again up to this many times; those that then pass are reported as flaky
+      retries: MOCHA_RETRIES !== undefined ? MOCHA_RETRIES : mochaConfig.retries,
       serverReporter: SERVER_TEST_REPORTER || XUNIT_FILE, // XUNIT_FILE is left in here for compatibility to older versions
       clientReporter: CLIENT_TEST_REPORTER,
+      // Several reporters at once, each to the console or a file: `spec,xunit:out/server.xml`
+      serverReporters: parseReporters(SERVER_TEST_REPORTERS),
+      clientReporters: parseReporters(CLIENT_TEST_REPORTERS),
       serverOutput: SERVER_MOCHA_OUTPUT,
       clientOutput: CLIENT_MOCHA_OUTPUT,
     },
     runnerOptions: {
-      runClient: (TEST_CLIENT !== 'false' && TEST_CLIENT !== '0'),
-      runServer: (TEST_SERVER !== 'false' && TEST_SERVER !== '0'),
+      runClient: TEST_CLIENT,
+      runServer: TEST_SERVER,
       browserDriver: TEST_BROWSER_DRIVER,
       testWatch: TEST_WATCH || METEOR_AUTO_RESTART === 'true',
-      runParallel: !!TEST_PARALLEL,
+      runParallel: TEST_PARALLEL,
+      // Server test files are split across this many child processes, each with its own database
+      serverWorkers: TEST_SERVER_WORKERS,
+      // Set in those child processes only, counting from 1
+      workerIndex: TEST_WORKER_INDEX,
+      daemon: TEST_DAEMON,
+      // Test panel around the HTML reporter when client tests run in a browser opened by hand
+      dashboard: TEST_DASHBOARD,
+      testFilePattern: TEST_FILE_PATTERN,
+    },
+    // Database reset between daemon runs. Without a strategy, the app's registered reset hook
+    // is used if there is one, otherwise all documents are deleted.
+    resetOptions: {
+      strategy: TEST_DB_RESET,
+      when: TEST_DB_RESET_WHEN,
+      collections: TEST_DB_RESET_COLLECTIONS,
+      exclude: TEST_DB_RESET_EXCLUDE,
     },
   };
 
-  if (COVERAGE === '1') {
+  // One slice of the root suites, for CI machines that each run part of the tests: `TEST_SHARD=2/5`
+  if (TEST_SHARD) {
+    const shard = parseShard(TEST_SHARD);
+    if (shard) {
+      runtimeArgs.shardOptions = {
+        ...shard,
+        timings: TEST_SHARD_TIMINGS ? loadShardTimings(TEST_SHARD_TIMINGS, appDir) : undefined,
+      };
+    } else {
+      console.error(`Invalid TEST_SHARD "${TEST_SHARD}", expected <index>/<count> like 2/5. Running all tests.`);
+    }
+  }
+
+  // One report merging the server and client results, in JUnit XML and/or JSON
+  if (COMBINED_REPORT_XML || COMBINED_REPORT_JSON) {
+    runtimeArgs.reportOptions = {
+      xml: COMBINED_REPORT_XML,
+      json: COMBINED_REPORT_JSON,
+    };
+  }
+
+  if (COVERAGE) {
+    const appFolder = COVERAGE_APP_FOLDER || appDir;
     runtimeArgs.coverageOptions = {
-      verbose: COVERAGE_VERBOSE === '1',
+      verbose: COVERAGE_VERBOSE,
+      // `v8` collects coverage with V8 itself instead of lmieulet:meteor-coverage
+      provider: COVERAGE_PROVIDER,
+      // The remote debugging port of the headless browser, for client coverage with V8
+      browserPort: COVERAGE_BROWSER_PORT,
       in: {
-        coverage: COVERAGE_IN_COVERAGE === 'true' || COVERAGE_IN_COVERAGE === '1',
+        coverage: COVERAGE_IN_COVERAGE,
       },
       out: {
-        coverage: COVERAGE_OUT_COVERAGE === 'true' || COVERAGE_OUT_COVERAGE === '1',
-        lcovonly: COVERAGE_OUT_LCOVONLY === 'true' || COVERAGE_OUT_LCOVONLY === '1',
-        html: COVERAGE_OUT_HTML === 'true' || COVERAGE_OUT_HTML === '1',
-        json: COVERAGE_OUT_JSON === 'true' || COVERAGE_OUT_JSON === '1',
-        json_summary: COVERAGE_OUT_JSON_SUMMARY === 'true' || COVERAGE_OUT_JSON_SUMMARY === '1',
-        text_summary: COVERAGE_OUT_TEXT_SUMMARY === 'true' || COVERAGE_OUT_TEXT_SUMMARY === '1',
-        remap: COVERAGE_OUT_REMAP === 'true' || COVERAGE_OUT_REMAP === '1',
+        coverage: !!COVERAGE_OUT_COVERAGE,
+        lcovonly: !!COVERAGE_OUT_LCOVONLY,
+        html: !!COVERAGE_OUT_HTML,
+        json: !!COVERAGE_OUT_JSON,
+        json_summary: !!COVERAGE_OUT_JSON_SUMMARY,
+        text_summary: !!COVERAGE_OUT_TEXT_SUMMARY,
+        remap: !!COVERAGE_OUT_REMAP,
       },
+      // Where the reports are written, and the names given instead of the default ones,
+      // with COVERAGE_PROVIDER=v8. meteor-coverage writes them where its own config says.
+      outDir: path.resolve(appFolder, COVERAGE_OUT_DIR || '.coverage'),
+      names: Object.entries({
+        coverage: COVERAGE_OUT_COVERAGE,
+        lcovonly: COVERAGE_OUT_LCOVONLY,
+        html: COVERAGE_OUT_HTML,
+        json: COVERAGE_OUT_JSON,
+        json_summary: COVERAGE_OUT_JSON_SUMMARY,
+        text_summary: COVERAGE_OUT_TEXT_SUMMARY,
+      }).reduce((names, [format, value]) => (typeof value === 'string' ? { ...names, [format]: value } : names), {}),
+      // Minimum coverage percentages, checked against the json-summary report after the export
+      thresholds: parseCoverageThresholds({
+        lines: COVERAGE_THRESHOLD_LINES,
+        branches: COVERAGE_THRESHOLD_BRANCHES,
+        functions: COVERAGE_THRESHOLD_FUNCTIONS,
+        statements: COVERAGE_THRESHOLD_STATEMENTS,
+      }),
+      appFolder,
+      summaryFile: COVERAGE_SUMMARY_FILE,
     };
+    const { provider, names } = runtimeArgs.coverageOptions;
+    // meteor-coverage's export API takes nothing but the report format
+    const ignored = [
+      ...(COVERAGE_OUT_DIR ? ['COVERAGE_OUT_DIR'] : []),
+      ...Object.keys(names).map((format) => `the name in COVERAGE_OUT_${format.toUpperCase()}`),
+    ];
+    if (provider !== 'v8' && ignored.length > 0) {
+      console.warn(`Ignoring ${ignored.join(', ')}: meteor-coverage writes its reports under its own names, `
+        + 'where its .coverage.json says. They only apply with COVERAGE_PROVIDER=v8.');
+    }
+    // Only this process is covered, so the files run by workers would be missing from the report
+    if (runtimeArgs.runnerOptions.serverWorkers > 1) {
+      console.error('TEST_SERVER_WORKERS does not work with COVERAGE, since coverage is not collected from the workers. '
+        + 'Running the server tests in one process.');
+      runtimeArgs.runnerOptions.serverWorkers = 1;
+    }
   }
 
   // Set the variables for the client to access as well.
@@ -0,0 +1,127 @@
+import { EventEmitter } from 'events';
+
+function noop() {}
+
+/**
+ * Replay the events of a run that happened elsewhere, as sent by `streamRunnerEvents`
+ * The returned `runner` emits real Mocha suites, tests and hooks with the same events and
+ * stats as a local run, so any Mocha reporter can be attached to it.
+ * @param {Function} Mocha - the Mocha constructor, for its Suite, Test and Hook classes
+ */
+export default function createRunnerFromEvents(Mocha) {
+  const runner = new EventEmitter();
+  const root = new Mocha.Suite('', new Mocha.Context(), true);
+  const runnables = new Map();
+  let ended = false;
+
+  runner.suite = root;
+  runner.total = 0;
+  // What Mocha's own stats collector counts
+  runner.stats = {
+    suites: 0,
+    tests: 0,
+    passes: 0,
+    pending: 0,
+    failures: 0,
+  };
+
+  const rebuild = (data) => {
+    let runnable = runnables.get(data.id);
+    if (!runnable) {
+      if (data.root) {
+        runnable = root;
+      } else {
+        if (data.kind === 'suite') {
+          runnable = new Mocha.Suite(data.title, root.ctx);
+        } else if (data.kind === 'hook') {
+          runnable = new Mocha.Hook(data.title, noop);
+        } else {
+          runnable = new Mocha.Test(data.title, noop);
+        }
+        runnable.parent = runnables.get(data.parentId) || root;
+      }
+      runnables.set(data.id, runnable);
+    }
+
+    runnable.file = data.file;
+    runnable.pending = data.pending;
+    if (data.kind !== 'suite') {
+      runnable.duration = data.duration;
+      runnable.state = data.state;
+      runnable.speed = data.speed;
+      runnable.timedOut = data.timedOut;
+      if (typeof data.currentRetry === 'number') runnable.currentRetry(data.currentRetry);
+    }
+    if (typeof data.slow === 'number') runnable.slow(data.slow);
+    return runnable;
+  };
+
+  const rebuildError = (data) => {
+    const err = new Error(data.message);
+    err.stack = data.stack;
+    if (data.actual !== undefined) {
+      err.actual = data.actual;
+      err.expected = data.expected;
+    } else {
+      err.showDiff = false;
+    }
+    return err;
+  };
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    runner.stats.end = new Date();
+    runner.stats.duration = runner.stats.end - runner.stats.start;
+    runner.emit('end');
+  };
+
+  /**
+   * Replay one event
+   */
+  const handle = (event) => {
+    if (ended) return;
+    const { stats } = runner;
+    const runnable = event.runnable ? rebuild(event.runnable) : undefined;
+
+    switch (event.type) {
+      case 'start':
+        runner.total = event.total || 0;
+        stats.start = new Date();
+        break;
+      case 'end':
+        end();
+        return;
+      case 'suite':
+        if (!runnable.root) stats.suites++;
+        break;
+      case 'test end':
+        stats.tests++;
+        break;
+      case 'pass':
+        stats.passes++;
+        break;
+      case 'pending':
+        stats.pending++;
+        break;
+      case 'fail':
+        stats.failures++;
+        break;
+      default:
+        break;
+    }
+
+    if (event.err) {
+      runner.emit(event.type, runnable, rebuildError(event.err));
+    } else {
+      runner.emit(event.type, runnable);
+    }
+  };
+
+  return {
+    runner,
+    handle,
+    // Ends the run if the browser went away before sending `end`, so reporters can finish their output
+    end,
+  };
+}
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+
+const STATES = { pass: 'passed', fail: 'failed', pending: 'pending' };
+
+/**
+ * Collect the results of one side's run from forwarded runner events
+ * @param {string} side - `server` or `client`
+ * @param {string} mode - `app` or `unit`
+ */
+export function createResultCollector(side, mode) {
+  // Errors of the attempts that failed before a retry, by the full title of the test
+  let attempts = new Map();
+  const collector = {
+    side,
+    mode,
+    tests: [],
+    startedAt: null,
+    finishedAt: null,
+    // Starting again, e.g. a client re-run in watch mode, drops the results of the previous run
+    start() {
+      collector.tests = [];
+      attempts = new Map();
+      collector.startedAt = new Date();
+      collector.finishedAt = null;
+    },
+    finish() {
+      collector.finishedAt = new Date();
+    },
+    // Takes the events of `forwardRunnerEvents`
+    record(event) {
+      if (event.type === 'retry') {
+        attempts.set(event.fullTitle, [...(attempts.get(event.fullTitle) || []), event.err || {}]);
+        return;
+      }
+      const state = STATES[event.type];
+      if (!state) return;
+      const test = {
+        side,
+        mode,
+        title: event.title,
+        fullTitle: event.fullTitle,
+        // A failing hook is reported in place of the tests of its suite that didn't get to run
+        suite: event.kind === 'hook' ? event.suiteTitle : event.fullTitle.slice(0, -event.title.length).trim(),
+        file: event.file,
+        duration: event.duration || 0,
+        state,
+        err: event.err,
+      };
+      if (event.retries) {
+        test.retries = event.retries;
+        test.attempts = attempts.get(event.fullTitle) || [];
+        // Passed, but only after failing
+        if (state === 'passed') test.flaky = true;
+      }
+      attempts.delete(event.fullTitle);
+      collector.tests.push(test);
+    },
+    // Results that came from elsewhere, e.g. a server worker process
+    add(tests) {
+      collector.tests.push(...tests);
+    },
+  };
+  return collector;
+}
+
+function countStates(tests) {
+  return {
+    tests: tests.length,
+    passes: tests.filter(({ state }) => state === 'passed').length,
+    failures: tests.filter(({ state }) => state === 'failed').length,
+    pending: tests.filter(({ state }) => state === 'pending').length,
+    flaky: tests.filter(({ flaky }) => flaky).length,
+  };
+}
+
+function durationOf({ startedAt, finishedAt }) {
+  return startedAt && finishedAt ? finishedAt - startedAt : 0;
+}
+
+/**
+ * Merge the collected sides into one JSON document, with totals for every side and overall
+ */
+export function buildCombinedJson(collectors) {
+  const sides = {};
+  collectors.forEach((collector) => {
+    sides[collector.side] = {
+      mode: collector.mode,
+      ...countStates(collector.tests),
+      duration: durationOf(collector),
+      start: collector.startedAt && collector.startedAt.toISOString(),
+      end: collector.finishedAt && collector.finishedAt.toISOString(),
+    };
+  });
+
+  const tests = [].concat(...collectors.map((collector) => collector.tests));
+  const starts = collectors.map(({ startedAt }) => startedAt).filter(Boolean);
+  const ends = collectors.map(({ finishedAt }) => finishedAt).filter(Boolean);
+  const start = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+  const end = ends.length > 0 ? new Date(Math.max(...ends)) : null;
+
+  return {
+    stats: {
+      ...countStates(tests),
+      // Sides that ran in parallel overlap, so this is wall time rather than the sum of the sides
+      duration: start && end ? end - start : 0,
+      start: start && start.toISOString(),
+      end: end && end.toISOString(),
+    },
+    sides,
+    tests,
+  };
+}
+
+function escapeXml(value) {
+  return String(value === undefined ? '' : value)
+    // Characters XML 1.0 doesn't allow at all, e.g. ANSI escapes in stack traces
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(milliseconds) {
+  return (milliseconds / 1000).toFixed(3);
+}
+
+function testCaseXml(test) {
+  const attributes = [
+    `classname="${escapeXml(`${test.side}.${test.suite || test.side}`)}"`,
+    `name="${escapeXml(test.title)}"`,
+    `time="${seconds(test.duration)}"`,
+  ];
+  if (test.file) attributes.push(`file="${escapeXml(test.file)}"`);
+
+  const lines = [`    <testcase ${attributes.join(' ')}>`];
+  lines.push('      <properties>');
+  lines.push(`        <property name="side" value="${escapeXml(test.side)}"/>`);
+  lines.push(`        <property name="mode" value="${escapeXml(test.mode)}"/>`);
+  lines.push('      </properties>');
+  if (test.state === 'failed') {
+    const err = test.err || {};
+    const details = [err.stack || err.message, err.diff].filter(Boolean).join('\n\n');
+    lines.push(`      <failure message="${escapeXml(err.message)}">${escapeXml(details)}</failure>`);
+  } else if (test.state === 'pending') {
+    lines.push('      <skipped/>');
+  }
+  // Each failed attempt of a test that passed on retry, as Maven Surefire reports flaky tests
+  if (test.flaky) {
+    test.attempts.forEach((err) => {
+      lines.push(`      <flakyFailure message="${escapeXml(err.message)}">`);
+      lines.push(`        <stackTrace>${escapeXml(err.stack || err.message)}</stackTrace>`);
+      lines.push('      </flakyFailure>');
+    });
+  }
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+/**
+ * Merge the collected sides into one JUnit XML document, with a test suite per side
+ */
+export function buildCombinedXml(collectors) {
+  const { stats, sides } = buildCombinedJson(collectors);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Mocha Tests" tests="${stats.tests}" failures="${stats.failures}" skipped="${stats.pending}" time="${seconds(stats.duration)}">`,
+  ];
+
+  collectors.forEach((collector) => {
+    const side = sides[collector.side];
+    const attributes = [
+      `name="${escapeXml(`${collector.mode} ${collector.side}`)}"`,
+      `tests="${side.tests}"`,
+      `failures="${side.failures}"`,
+      'errors="0"',
+      `skipped="${side.pending}"`,
+      `time="${seconds(side.duration)}"`,
+    ];
+    if (side.start) attributes.push(`timestamp="${side.start.replace(/\.\d+Z$/, '')}"`);
+
+    lines.push(`  <testsuite ${attributes.join(' ')}>`);
+    lines.push('    <properties>');
+    lines.push(`      <property name="side" value="${escapeXml(collector.side)}"/>`);
+    lines.push(`      <property name="mode" value="${escapeXml(collector.mode)}"/>`);
+    lines.push('    </properties>');
+    collector.tests.forEach((test) => lines.push(testCaseXml(test)));
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+function writeReport(file, content) {
+  const fullPath = path.resolve(process.env.PWD || process.cwd(), file);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+}
+
+/**
+ * Write the combined report files set in the report options
+ * @param {Array} collectors - one per side that ran
+ * @param {object} reportOptions - `{ xml, json }`, the files to write
+ */
+export default function writeCombinedReport(collectors, reportOptions) {
+  if (!reportOptions) return;
+  const ran = collectors.filter(({ startedAt }) => startedAt);
+  try {
+    if (reportOptions.xml) writeReport(reportOptions.xml, buildCombinedXml(ran));
+    if (reportOptions.json) writeReport(reportOptions.json, `${JSON.stringify(buildCombinedJson(ran), null, 2)}\n`);
+  } catch (e) {
+    console.error(`Failed to write the combined test report: ${e.message}`);
+  }
+}
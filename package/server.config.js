@@ -0,0 +1,270 @@
+/* global Npm */
+import fs from 'fs';
+import path from 'path';
+import formatTable from './server.formatTable';
+
+// The file in the app's root directory that can hold the configuration
+const CONFIG_FILE = 'mocha.config.js';
+
+// Variables with the prefixes of this package that belong to someone else
+const OTHER_VARIABLES = ['TEST_PORT', 'TEST_REGRESSION_THRESHOLD', 'TEST_METADATA'];
+const PREFIXES = ['MOCHA_', 'TEST_', 'COVERAGE_', 'CLIENT_TEST_', 'SERVER_TEST_', 'CLIENT_MOCHA_', 'SERVER_MOCHA_', 'COMBINED_REPORT_'];
+
+const report = { type: 'report' };
+const threshold = { type: 'string' };
+
+/**
+ * Every setting of the package, by its environment variable
+ * `key` is its name in `Meteor.settings.mocha` and mocha.config.js. `envOnly` settings are also
+ * read from the environment by other packages, possibly before this one is loaded, so they can
+ * only be set there. `internal` settings are passed by the package to its worker processes: they
+ * are only read from the environment, and left out of the printed configuration.
+ */
+export const CONFIG_SCHEMA = {
+  MOCHA_GREP: { key: 'grep', type: 'string' },
+  MOCHA_INVERT: { key: 'invert', type: 'boolean' },
+  MOCHA_REPORTER: { key: 'reporter', type: 'string' },
+  MOCHA_TIMEOUT: { key: 'timeout', type: 'duration' },
+  MOCHA_RETRIES: { key: 'retries', type: 'integer', min: 0 },
+  CLIENT_TEST_REPORTER: { key: 'clientReporter', type: 'string' },
+  SERVER_TEST_REPORTER: { key: 'serverReporter', type: 'string' },
+  CLIENT_TEST_REPORTERS: { key: 'clientReporters', type: 'string' },
+  SERVER_TEST_REPORTERS: { key: 'serverReporters', type: 'string' },
+  XUNIT_FILE: { key: 'xunitFile', type: 'string' },
+  SERVER_MOCHA_OUTPUT: { key: 'serverOutput', type: 'string' },
+  CLIENT_MOCHA_OUTPUT: { key: 'clientOutput', type: 'string' },
+  COMBINED_REPORT_XML: { key: 'combinedReportXml', type: 'string' },
+  COMBINED_REPORT_JSON: { key: 'combinedReportJson', type: 'string' },
+  TEST_BROWSER_DRIVER: { key: 'browserDriver', type: 'string', envOnly: true },
+  TEST_CLIENT: { key: 'client', type: 'boolean', default: true },
+  TEST_SERVER: { key: 'server', type: 'boolean', default: true },
+  TEST_PARALLEL: { key: 'parallel', type: 'boolean', default: false },
+  TEST_SERVER_WORKERS: { key: 'serverWorkers', type: 'integer', min: 1, default: 1 },
+  TEST_WORKER_INDEX: { key: 'workerIndex', type: 'integer', min: 0, default: 0, internal: true },
+  TEST_WATCH: { key: 'watch', type: 'boolean', default: false },
+  TEST_DASHBOARD: { key: 'dashboard', type: 'boolean', default: true },
+  TEST_DAEMON: { key: 'daemon', type: 'boolean', default: false },
+  TEST_FILE_PATTERN: { key: 'testFilePattern', type: 'string' },
+  TEST_SHARD: { key: 'shard', type: 'string' },
+  TEST_SHARD_TIMINGS: { key: 'shardTimings', type: 'string' },
+  TEST_DB_RESET: { key: 'dbReset', type: 'string' },
+  TEST_DB_RESET_WHEN: { key: 'dbResetWhen', type: 'enum', values: ['before', 'after', 'both'], default: 'after' },
+  TEST_DB_RESET_COLLECTIONS: { key: 'dbResetCollections', type: 'list', default: [] },
+  TEST_DB_RESET_EXCLUDE: { key: 'dbResetExclude', type: 'list', default: [] },
+  TEST_PRINT_CONFIG: { key: 'printConfig', type: 'boolean', default: false },
+  COVERAGE: { key: 'coverage', type: 'flag', default: false, envOnly: true },
+  COVERAGE_VERBOSE: { key: 'coverageVerbose', type: 'flag', default: false, envOnly: true },
+  COVERAGE_PROVIDER: {
+    key: 'coverageProvider', type: 'enum', values: ['meteor-coverage', 'v8'], default: 'meteor-coverage',
+  },
+  COVERAGE_BROWSER_PORT: { key: 'coverageBrowserPort', type: 'integer', min: 1, default: 9222 },
+  COVERAGE_APP_FOLDER: { key: 'coverageAppFolder', type: 'string', envOnly: true },
+  COVERAGE_IN_COVERAGE: { key: 'coverageInCoverage', type: 'boolean', default: false },
+  COVERAGE_OUT_COVERAGE: { key: 'coverageOutCoverage', ...report },
+  COVERAGE_OUT_LCOVONLY: { key: 'coverageOutLcovonly', ...report },
+  COVERAGE_OUT_HTML: { key: 'coverageOutHtml', ...report },
+  COVERAGE_OUT_JSON: { key: 'coverageOutJson', ...report },
+  COVERAGE_OUT_JSON_SUMMARY: { key: 'coverageOutJsonSummary', ...report },
+  COVERAGE_OUT_TEXT_SUMMARY: { key: 'coverageOutTextSummary', ...report },
+  COVERAGE_OUT_REMAP: { key: 'coverageOutRemap', type: 'boolean', default: false },
+  COVERAGE_OUT_DIR: { key: 'coverageOutDir', type: 'string' },
+  COVERAGE_SUMMARY_FILE: { key: 'coverageSummaryFile', type: 'string' },
+  COVERAGE_THRESHOLD_LINES: { key: 'coverageThresholdLines', ...threshold },
+  COVERAGE_THRESHOLD_BRANCHES: { key: 'coverageThresholdBranches', ...threshold },
+  COVERAGE_THRESHOLD_FUNCTIONS: { key: 'coverageThresholdFunctions', ...threshold },
+  COVERAGE_THRESHOLD_STATEMENTS: { key: 'coverageThresholdStatements', ...threshold },
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off', ''];
+
+// Each parser returns the typed value, or throws with what was expected
+export const PARSERS = {
+  string: (value) => {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') throw new Error('expected a string');
+    return value;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new Error('expected 1, true, 0 or false');
+  },
+  // meteor-coverage only turns on for exactly `1`, so anything else it would ignore is an error
+  flag: (value) => {
+    if (value === '1') return true;
+    if (value === '0' || value === '') return false;
+    throw new Error('expected 1 or 0');
+  },
+  integer: (value, { min }) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number) || String(value).trim() === '') throw new Error('expected a whole number');
+    if (min !== undefined && number < min) throw new Error(`expected ${min} or more`);
+    return number;
+  },
+  // Milliseconds, or a duration Mocha understands such as `2s`; 0 and false turn timeouts off
+  duration: (value) => {
+    if (value === false) return 0;
+    if (typeof value === 'number' && value >= 0) return value;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    if (/^\d+(\.\d+)?\s*(ms|s|m|h)$/.test(text)) return text;
+    throw new Error('expected milliseconds or a duration like 2s');
+  },
+  enum: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`expected one of ${values.join(', ')}`);
+    return value;
+  },
+  // Comma-separated in variables, an array elsewhere
+  list: (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map((item) => String(item).trim()).filter(Boolean);
+  },
+  // A report is on, off, or on under the name given. A name needs an extension or a slash, so a
+  // word like `enabled` is an error rather than the name of a report.
+  report: (value) => {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim();
+    if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+    if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+    if (!/[./]/.test(text)) throw new Error('expected 1, 0, or a file name with an extension or a path, e.g. lcov/app.info or html/');
+    return text;
+  },
+};
+
+// Settings by their key, for the settings and mocha.config.js
+const KEYS = Object.keys(CONFIG_SCHEMA)
+  .filter((name) => !CONFIG_SCHEMA[name].internal)
+  .reduce((keys, name) => ({ ...keys, [CONFIG_SCHEMA[name].key]: name }), {});
+
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function closest(name, candidates) {
+  const [best] = candidates
+    .map((candidate) => ({ candidate, score: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= 2 ? best.candidate : null;
+}
+
+function loadConfigFile(appDir) {
+  const file = path.join(appDir, CONFIG_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    // Resolved by Node, outside of the app bundle
+    const config = Npm.require(file);
+    return config && config.default ? config.default : config;
+  } catch (e) {
+    console.error(`Failed to read ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the settings of the package from, in increasing precedence, mocha.config.js in the app's
+ * root directory, `Meteor.settings.mocha` and the environment variables
+ * Values are parsed by the type of their setting. An invalid value is ignored with a warning, which
+ * keeps the value of a lower source or the default. Unknown keys, variables that look like a
+ * misspelled setting and `envOnly` settings set anywhere but in the environment are ignored too.
+ * @param {object} sources
+ * @param {string} sources.appDir - the root directory of the app
+ * @param {object} [sources.settings] - `Meteor.settings.mocha`
+ * @param {object} sources.env - the environment variables
+ * @returns {{values: object, origins: object}} the value and where it came from, by variable name
+ */
+export default function loadConfig({ appDir, settings, env }) {
+  const values = {};
+  const origins = {};
+  Object.keys(CONFIG_SCHEMA).forEach((name) => {
+    if (CONFIG_SCHEMA[name].default !== undefined) {
+      values[name] = CONFIG_SCHEMA[name].default;
+      origins[name] = 'default';
+    }
+  });
+
+  const apply = (name, value, origin) => {
+    const setting = CONFIG_SCHEMA[name];
+    try {
+      values[name] = PARSERS[setting.type](value, setting);
+      origins[name] = origin;
+    } catch (e) {
+      console.warn(`Ignoring ${setting.key} (${name}) from ${origin}: ${JSON.stringify(value)}, ${e.message}`);
+    }
+  };
+
+  const applyObject = (config, origin) => {
+    if (!config) return;
+    if (typeof config !== 'object') {
+      console.warn(`Ignoring ${origin}: expected an object`);
+      return;
+    }
+    Object.keys(config).forEach((key) => {
+      const name = KEYS[key] || (CONFIG_SCHEMA[key] && !CONFIG_SCHEMA[key].internal ? key : null);
+      if (!name) {
+        const suggestion = closest(key, Object.keys(KEYS));
+        console.warn(`Unknown setting "${key}" in ${origin}${suggestion ? `, did you mean "${suggestion}"?` : ''}`);
+        return;
+      }
+      if (config[key] === undefined || config[key] === null) return;
+      if (CONFIG_SCHEMA[name].envOnly) {
+        console.warn(`Ignoring ${CONFIG_SCHEMA[name].key} (${name}) from ${origin}: other packages read it from the environment, so set ${name} there`);
+        return;
+      }
+      apply(name, config[key], origin);
+    });
+  };
+
+  applyObject(loadConfigFile(appDir), CONFIG_FILE);
+  applyObject(settings, 'Meteor.settings.mocha');
+
+  Object.keys(env).forEach((name) => {
+    if (CONFIG_SCHEMA[name]) {
+      // An empty variable counts as not set
+      if (env[name] !== undefined && env[name] !== '') apply(name, env[name], 'environment');
+      return;
+    }
+    // Variables of other tools share the prefixes, so only near misses are reported
+    if (OTHER_VARIABLES.includes(name) || !PREFIXES.some((prefix) => name.startsWith(prefix))) return;
+    const suggestion = closest(name, Object.keys(CONFIG_SCHEMA));
+    if (suggestion) console.warn(`Unknown environment variable ${name}, did you mean ${suggestion}?`);
+  });
+
+  return { values, origins };
+}
+
+/**
+ * The configuration as rows of setting, variable, value and origin, for printing or serving
+ */
+export function describeConfig({ values, origins }) {
+  const listed = (name) => values[name] !== undefined && !CONFIG_SCHEMA[name].internal;
+  return Object.keys(CONFIG_SCHEMA).filter(listed).map((name) => ({
+    key: CONFIG_SCHEMA[name].key,
+    env: name,
+    value: values[name],
+    origin: origins[name],
+  }));
+}
+
+/**
+ * Print the configuration, e.g. with TEST_PRINT_CONFIG=1
+ */
+export function printConfig(config) {
+  const rows = describeConfig(config).map(({
+    key, env, value, origin,
+  }) => [key, env, JSON.stringify(value), origin]);
+
+  console.log('meteortesting:mocha configuration:\n');
+  formatTable(['Setting', 'Variable', 'Value', 'From'], rows).forEach((line) => console.log(line));
+  console.log('');
+}
@@ -0,0 +1,94 @@
+import path from 'path';
+import { coveredPercent } from './server.coverageThresholds';
+
+// Istanbul's counters for every instrumented file, server and client, kept by meteor-coverage
+function getCoverageObject() {
+  // The name is Istanbul's
+  // eslint-disable-next-line no-underscore-dangle
+  const coverage = global.__coverage__;
+  return typeof coverage === 'object' && coverage ? coverage : null;
+}
+
+/**
+ * Whether the app was started with code coverage, i.e. with COVERAGE=1 and lmieulet:meteor-coverage
+ */
+export function hasCoverageCounters() {
+  return !!getCoverageObject();
+}
+
+/**
+ * Set every counter to zero, so the next export only holds what runs from now on
+ */
+export function resetCoverageCounters() {
+  const coverage = getCoverageObject();
+  if (!coverage) return;
+  Object.values(coverage).forEach((fileCoverage) => {
+    // `bT` counts logical branch truthiness, when instrumented with reportLogic
+    ['s', 'f', 'b', 'bT'].forEach((name) => {
+      const counters = fileCoverage[name] || {};
+      Object.keys(counters).forEach((key) => {
+        counters[key] = Array.isArray(counters[key]) ? counters[key].map(() => 0) : 0;
+      });
+    });
+  });
+}
+
+// Rounded to two decimals, as in Istanbul's json-summary
+function withPercent({ total, covered }) {
+  return { total, covered, pct: Math.round(coveredPercent(covered, total) * 100) / 100 };
+}
+
+function metric(counts) {
+  return withPercent({ total: counts.length, covered: counts.filter((count) => count > 0).length });
+}
+
+function summarizeFile(fileCoverage) {
+  // A line counts as covered if any statement starting on it ran
+  const lineHits = {};
+  Object.keys(fileCoverage.statementMap).forEach((id) => {
+    const { line } = fileCoverage.statementMap[id].start;
+    lineHits[line] = Math.max(lineHits[line] || 0, fileCoverage.s[id]);
+  });
+  return {
+    lines: metric(Object.values(lineHits)),
+    statements: metric(Object.values(fileCoverage.s)),
+    functions: metric(Object.values(fileCoverage.f)),
+    branches: metric([].concat(...Object.values(fileCoverage.b))),
+  };
+}
+
+function addUp(summaries) {
+  const total = {};
+  ['lines', 'statements', 'functions', 'branches'].forEach((name) => {
+    const sum = summaries.reduce((acc, summary) => ({
+      total: acc.total + summary[name].total,
+      covered: acc.covered + summary[name].covered,
+    }), { total: 0, covered: 0 });
+    total[name] = withPercent(sum);
+  });
+  return total;
+}
+
+/**
+ * Summarize the coverage since the last reset, in the shape of Istanbul's json-summary
+ * Only files that ran at all are listed, which after a reset are the files the run exercised.
+ * @param {object} options
+ * @param {string} options.appFolder - file paths are made relative to this folder
+ * @param {RegExp} [options.exclude] - files to leave out, e.g. the test files themselves
+ * @param {object} [options.coverage] - Istanbul coverage by file, instead of meteor-coverage's counters
+ * @returns {{total: object, files: Array<{file: string}>}|null} null without coverage counters
+ */
+export function summarizeCoverage({ appFolder, exclude, coverage = getCoverageObject() }) {
+  if (!coverage) return null;
+
+  const files = Object.keys(coverage)
+    .map((key) => {
+      const fileCoverage = coverage[key];
+      const file = path.relative(appFolder, path.resolve(appFolder, fileCoverage.path || key)).split(path.sep).join('/');
+      return { file, ...summarizeFile(fileCoverage) };
+    })
+    .filter(({ file, statements, functions }) => statements.covered + functions.covered > 0 && !(exclude && exclude.test(file)))
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  return { total: addUp(files), files };
+}
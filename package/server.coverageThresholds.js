@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import formatTable from './server.formatTable';
+
+export const COVERAGE_METRICS = ['lines', 'branches', 'functions', 'statements'];
+
+// Where meteor-coverage may write the json-summary report, relative to the app folder
+const SUMMARY_FILES = ['.coverage/coverage-summary.json', '.coverage/summary.json'];
+
+/**
+ * Turn a path glob into a regular expression: `**` matches across directories,
+ * `*` and `?` within one, `{a,b}` either alternative
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      pattern += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      pattern += ')';
+    } else if (char === ',' && braces > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Parse the COVERAGE_THRESHOLD_* variables
+ * Each holds a minimum percentage for all files, and/or `glob=percentage` entries for the files
+ * matching a glob, separated by commas: `80,imports/api/**=90`
+ * @param {object} values - the variable of each metric, by metric name
+ * @returns {Array<{metric: string, glob: string|null, minimum: number}>}
+ */
+export function parseCoverageThresholds(values) {
+  const thresholds = [];
+  COVERAGE_METRICS.forEach((metric) => {
+    const value = values[metric];
+    if (!value) return;
+    // Commas inside braces belong to the glob
+    value.split(/,(?![^{]*})/).map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+      const separator = entry.lastIndexOf('=');
+      const glob = separator === -1 ? null : entry.slice(0, separator).trim();
+      const minimum = Number(separator === -1 ? entry : entry.slice(separator + 1));
+      if (Number.isNaN(minimum) || (glob !== null && !glob)) {
+        console.error(`Ignoring invalid coverage threshold for ${metric}: ${entry}`);
+        return;
+      }
+      thresholds.push({ metric, glob, minimum });
+    });
+  });
+  return thresholds;
+}
+
+function findSummaryFile(appFolder, summaryFile) {
+  if (summaryFile) return path.resolve(appFolder, summaryFile);
+  return SUMMARY_FILES.map((file) => path.resolve(appFolder, file)).find((file) => fs.existsSync(file));
+}
+
+/**
+ * The percentage of `total` that is `covered`
+ * Nothing to cover counts as fully covered, as in Istanbul's own summary.
+ */
+export function coveredPercent(covered, total) {
+  return total === 0 ? 100 : (covered / total) * 100;
+}
+
+function percentOf(totals, metric) {
+  const { total, covered } = totals.reduce((sum, entry) => ({
+    total: sum.total + entry[metric].total,
+    covered: sum.covered + entry[metric].covered,
+  }), { total: 0, covered: 0 });
+  return coveredPercent(covered, total);
+}
+
+/**
+ * Compare a json-summary report with the thresholds
+ * Glob thresholds apply to the combined coverage of all files matching the glob.
+ * @param {object} summary - the parsed json-summary report, with a `total` entry and one per file
+ * @param {Array} thresholds - as returned by `parseCoverageThresholds`
+ * @param {string} appFolder - file paths are matched relative to this folder
+ * @returns {Array<{metric, glob, minimum, actual: number|null, passed: boolean}>} `actual` is null if no file matched
+ */
+export function checkCoverageThresholds(summary, thresholds, appFolder) {
+  const files = Object.keys(summary)
+    .filter((file) => file !== 'total')
+    .map((file) => ({ file: path.relative(appFolder, path.resolve(appFolder, file)).split(path.sep).join('/'), totals: summary[file] }));
+
+  return thresholds.map((threshold) => {
+    let totals = [summary.total];
+    if (threshold.glob) {
+      const matcher = globToRegExp(threshold.glob);
+      totals = files.filter(({ file }) => matcher.test(file)).map((entry) => entry.totals);
+    }
+    if (totals.length === 0 || !totals[0]) return { ...threshold, actual: null, passed: false };
+    const actual = percentOf(totals, threshold.metric);
+    return { ...threshold, actual, passed: actual >= threshold.minimum };
+  });
+}
+
+function printFailedThresholds(results) {
+  const rows = results.filter(({ passed }) => !passed).map(({ glob, metric, minimum, actual }) => [
+    glob || 'all files',
+    metric,
+    `${minimum}%`,
+    actual === null ? 'no files' : `${actual.toFixed(2)}%`,
+  ]);
+
+  console.log('Coverage thresholds not met:\n');
+  formatTable(['Files', 'Metric', 'Minimum', 'Actual'], rows).forEach((line) => console.log(line));
+  console.log('');
+}
+
+/**
+ * Check the json-summary report that was just exported against the thresholds
+ * and print the ones that failed
+ * @param {Array} thresholds - as returned by `parseCoverageThresholds`
+ * @param {object} options
+ * @param {string} options.appFolder - the folder coverage paths are relative to
+ * @param {string} [options.summaryFile] - the json-summary report, if not in a default place
+ * @returns {boolean} whether every threshold was met
+ */
+export default function enforceCoverageThresholds(thresholds, { appFolder, summaryFile }) {
+  const file = findSummaryFile(appFolder, summaryFile);
+  if (!file || !fs.existsSync(file)) {
+    console.error(`Coverage thresholds are set but no json-summary report was found in ${appFolder}. `
+      + 'Set COVERAGE_SUMMARY_FILE to where meteor-coverage writes it.');
+    return false;
+  }
+
+  const results = checkCoverageThresholds(JSON.parse(fs.readFileSync(file, 'utf8')), thresholds, appFolder);
+  if (results.every(({ passed }) => passed)) {
+    console.log(`Coverage thresholds met (${results.length})`);
+    return true;
+  }
+  printFailedThresholds(results);
+  return false;
+}
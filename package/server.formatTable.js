@@ -0,0 +1,11 @@
+/**
+ * Lay out rows of text in aligned columns under a header, for printing to the console
+ * @param {Array<string>} header - the title of each column
+ * @param {Array<Array<string>>} rows
+ * @returns {Array<string>} the lines of the table, indented and without trailing spaces
+ */
+export default function formatTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const format = (row) => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd();
+  return [header, widths.map((width) => '-'.repeat(width)), ...rows].map(format);
+}
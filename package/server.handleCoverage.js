@@ -1,103 +1,139 @@
-import { HTTP } from 'meteor/http';
-
-export default (coverageOptions) => {
-  let promise = Promise.resolve(true);
-
-  if (coverageOptions) {
-    const cLog = (...args) => {
-      if (coverageOptions.verbose) {
-        console.log(...args);
-      }
-    };
-
-    cLog('Export code coverage');
-
-    const importCoverageDump = () => new Promise((resolve, reject) => {
-      cLog('- In coverage');
-      HTTP.get(Meteor.absoluteUrl('coverage/import'), (error, response) => {
-        if (error) {
-          reject(new Error('Failed to import coverage file'));
-          return;
-        }
-
-        const { statusCode } = response;
-
-        if (statusCode !== 200) {
-          reject(new Error('Failed to import coverage file'));
-        }
-        resolve();
-      });
-    });
-
-    const exportReport = (fileType, reportType) => new Promise((resolve, reject) => {
-      cLog(`- Out ${fileType}`);
-      const url = Meteor.absoluteUrl(`/coverage/export/${fileType}`);
-      HTTP.get(url, (error, response) => {
-        if (error) {
-          reject(new Error(`Failed to save ${fileType} ${reportType}`));
-          return;
-        }
-
-        const { statusCode } = response;
-
-        if (statusCode !== 200) {
-          reject(new Error(`Failed to save ${fileType} ${reportType}`));
-        }
-        resolve();
-      });
-    });
-
-    const exportRemap = () => new Promise((resolve, reject) => {
-      cLog('- Out remap');
-      HTTP.get(Meteor.absoluteUrl('/coverage/export/remap'), (error, response) => {
-        if (error) {
-          reject(new Error('Failed to remap your coverage'));
-          return;
-        }
-
-        const { statusCode } = response;
-
-        if (statusCode !== 200) {
-          reject(new Error('Failed to remap your coverage'));
-        }
-        resolve();
-      });
-    });
-
-    if (coverageOptions.in.coverage) {
-      promise = promise.then(() => importCoverageDump());
-    }
-
-    if (coverageOptions.out.coverage) {
-      promise = promise.then(() => exportReport('coverage', 'dump'));
-    }
-
-    if (coverageOptions.out.lcovonly) {
-      promise = promise.then(() => exportReport('lcovonly', 'coverage'));
-    }
+import path from 'path';
+import { fetch } from 'meteor/fetch';
+
+import enforceCoverageThresholds from './server.coverageThresholds';
+import {
+  DEFAULT_NAMES, addServerCoverage, importV8Dump, writeV8Report,
+} from './server.v8Coverage';
+
+// The `out` options, by the name of their report in meteor-coverage's export URLs
+const FORMATS = {
+  coverage: 'coverage',
+  lcovonly: 'lcovonly',
+  html: 'html',
+  json: 'json',
+  json_summary: 'json-summary',
+  text_summary: 'text-summary',
+  remap: 'remap',
+};
 
-    if (coverageOptions.out.html) {
-      promise = promise.then(() => exportReport('html', 'report'));
-    }
+// meteor-coverage only has an HTTP API, served by the app itself
+async function callMeteorCoverage(route) {
+  const response = await fetch(Meteor.absoluteUrl(route));
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`${route} answered ${response.status}${body ? `: ${body.trim().split('\n')[0]}` : ''}`);
+  }
+}
+
+// Where the coverage comes from and how its reports are written
+const providers = {
+  // Writes the reports where its own .coverage.json config says, under names of its own
+  'meteor-coverage': {
+    prepare: async () => {},
+    import: () => callMeteorCoverage('coverage/import'),
+    export: (format) => callMeteorCoverage(`coverage/export/${FORMATS[format]}`).then(() => null),
+    // A remap rewrites the other reports, so it must not run alongside them
+    sequential: ['remap'],
+  },
+  v8: {
+    prepare: addServerCoverage,
+    import: (options) => importV8Dump(path.resolve(options.outDir, options.names.coverage || DEFAULT_NAMES.coverage)),
+    export: async (format, options) => writeV8Report(format, options.outDir, options.names[format]),
+    sequential: [],
+  },
+};
 
-    if (coverageOptions.out.json) {
-      promise = promise.then(() => exportReport('json', 'report'));
+// Paths are shown relative to the app folder, since the server runs in Meteor's build folder
+function printResults(results, appFolder) {
+  const width = Math.max(...results.map(({ format }) => FORMATS[format].length));
+  console.log('Coverage reports:');
+  results.forEach(({ format, error, written }) => {
+    const name = FORMATS[format].padEnd(width);
+    if (error) {
+      console.log(`  ✗ ${name}  ${error.message}`);
+    } else {
+      console.log(`  ✓ ${name}  ${written ? path.relative(appFolder, written) || '.' : 'done'}`);
     }
+  });
+}
+
+/**
+ * Import the coverage dump and export the reports set in the coverage options, then check the thresholds
+ * The reports are exported at the same time, except where that isn't safe, and the outcome of
+ * each is printed.
+ * @returns {Promise<boolean>} false if the import or a report failed or a threshold wasn't met
+ */
+export default async function handleCoverage(coverageOptions) {
+  if (!coverageOptions) return true;
+
+  const provider = providers[coverageOptions.provider] || providers['meteor-coverage'];
+  const {
+    thresholds = [], outDir = path.join(coverageOptions.appFolder, '.coverage'), names = {},
+  } = coverageOptions;
+  const options = { ...coverageOptions, outDir, names };
+  const cLog = (...args) => {
+    if (coverageOptions.verbose) console.log(...args);
+  };
+
+  cLog('Export code coverage');
+
+  try {
+    await provider.prepare();
+  } catch (error) {
+    console.error(`Failed to collect coverage: ${error.message}`);
+    return false;
+  }
 
-    if (coverageOptions.out.text_summary) {
-      promise = promise.then(() => exportReport('text-summary', 'report'));
+  try {
+    if (coverageOptions.in.coverage) {
+      cLog('- In coverage');
+      await provider.import(options);
     }
+  } catch (error) {
+    console.error(`Failed to import coverage file: ${error.message}`);
+    return false;
+  }
 
-    if (coverageOptions.out.remap) {
-      promise = promise.then(() => exportRemap());
-    }
+  // The thresholds are checked against the json-summary report
+  const formats = Object.keys(FORMATS).filter((format) => coverageOptions.out[format]
+    || (format === 'json_summary' && thresholds.length > 0));
+  if (coverageOptions.provider === 'v8' && formats.includes('remap')) {
+    cLog('- Out remap: not needed, V8 coverage is mapped to the sources already');
+    formats.splice(formats.indexOf('remap'), 1);
+  }
 
-    if (coverageOptions.out.json_summary) {
-      promise = promise.then(() => exportReport('json-summary', 'dump'));
+  const exportReport = (format) => {
+    cLog(`- Out ${FORMATS[format]}`);
+    return Promise.resolve()
+      .then(() => provider.export(format, options))
+      .then((written) => ({ format, written }), (error) => ({ format, error }));
+  };
+  const results = await Promise.all(formats.filter((format) => !provider.sequential.includes(format)).map(exportReport));
+  await formats.filter((format) => provider.sequential.includes(format)).reduce(
+    (previous, format) => previous.then(() => exportReport(format)).then((result) => results.push(result)),
+    Promise.resolve(),
+  );
+
+  if (results.length > 0) printResults(results, coverageOptions.appFolder);
+  let passed = results.every(({ error }) => !error);
+
+  if (thresholds.length > 0) {
+    const summary = results.find(({ format }) => format === 'json_summary');
+    if (summary.error) {
+      console.error('Coverage thresholds not checked, the json-summary report failed');
+      passed = false;
+    } else {
+      // The summary this package wrote itself is where the run left it
+      const summaryFile = coverageOptions.summaryFile || summary.written || undefined;
+      try {
+        passed = enforceCoverageThresholds(thresholds, { ...coverageOptions, summaryFile }) && passed;
+      } catch (error) {
+        console.error(`Failed to check the coverage thresholds: ${error.message}`);
+        passed = false;
+      }
     }
-
-    promise = promise.catch(console.error);
   }
 
-  return promise;
-};
+  return passed;
+}
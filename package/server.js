@@ -1,115 +1,151 @@
-/* global Package */
 import { mochaInstance } from 'meteor/meteortesting:mocha-core';
 import { startBrowser } from 'meteor/meteortesting:browser-tests';
 import { onMessage } from 'meteor/inter-process-messaging';
 import { WebApp } from 'meteor/webapp';
-import { MongoInternals } from 'meteor/mongo';
 
+import crypto from 'crypto';
 import fs from 'fs';
+import path from 'path';
 
 import setArgs from './runtimeArgs';
+import applyMochaOptions, { overrideRetries, withoutFileOptions } from './mochaOptions';
+import { forwardRunnerEvents } from './runnerEvents';
+import { createMultiReporter } from './multiReporter';
+import createRunnerFromEvents from './server.clientRunner';
 import handleCoverage from './server.handleCoverage';
+import { hasCoverageCounters, resetCoverageCounters, summarizeCoverage } from './server.coverageCounters';
+import {
+  addBrowserCoverage,
+  getV8Coverage,
+  resetV8Coverage,
+  startBrowserCoverage,
+  startServerCoverage,
+  stopBrowserCoverage,
+} from './server.v8Coverage';
+import writeCombinedReport, { buildCombinedJson, createResultCollector } from './server.combinedReport';
+import resetDatabase, {
+  RESET_STRATEGIES,
+  RESET_TIMES,
+  hasDatabaseResetHook,
+  hasDatabaseSnapshot,
+  registerDatabaseReset,
+  takeDatabaseSnapshot,
+} from './server.resetDatabase';
+import { keepWorkerSuites, reportWorkerResult, runServerWorkers } from './server.workers';
+import { applyShard } from './testShards';
+import {
+  buildTitlesGrep,
+  findRunnableAtLine,
+  findSuitesForFile,
+  normalizePath,
+} from './server.testSelection';
 
 // File-to-suite tracking: capture source file for each describe() call
-// This must happen BEFORE test files are loaded (at module scope)
 const suiteToFile = new WeakMap();
 
-/**
- * Normalize a file path to be relative to project root
- * Strips leading slashes and ensures forward slashes
- */
-function normalizePath(filepath) {
-  if (!filepath) return filepath;
-  // Remove leading slash if present
-  let normalized = filepath.replace(/^\/+/, '');
-  // Ensure forward slashes (Windows compat)
-  normalized = normalized.replace(/\\/g, '/');
-  return normalized;
+const {
+  mochaOptions, runnerOptions, coverageOptions, resetOptions, reportOptions, shardOptions,
+} = setArgs();
+const {
+  grep, invert, reporter, reporterOptions, serverReporter, clientReporter, serverReporters, clientReporters, serverOutput, clientOutput,
+} = mochaOptions || {};
+
+// Before the test files are loaded, since they may use another interface
+applyMochaOptions(mochaInstance, mochaOptions);
+
+// Test file names recognised in stack traces: foo.app-spec.ts, foo.app-test.js, foo.spec.tsx, foo.test.mjs, ...
+// TEST_FILE_PATTERN replaces this with a custom regular expression
+const DEFAULT_TEST_FILE_PATTERN = /\.(app-spec|app-test|spec|test)\.(ts|tsx|js|jsx|mjs|cjs)$/;
+
+function getTestFilePattern() {
+  if (!runnerOptions.testFilePattern) return DEFAULT_TEST_FILE_PATTERN;
+  try {
+    return new RegExp(runnerOptions.testFilePattern);
+  } catch (e) {
+    console.error(`Invalid TEST_FILE_PATTERN, using the default: ${e.message}`);
+    return DEFAULT_TEST_FILE_PATTERN;
+  }
 }
+const testFilePattern = getTestFilePattern();
 
-/**
- * Reset all collections after test run to prevent inter-run pollution
- * Generic approach using MongoInternals - no app-specific dependencies
- */
-async function resetAllCollections() {
-  const db = MongoInternals.defaultRemoteCollectionDriver().mongo.db;
-  const collections = await db.listCollections().toArray();
-
-  for (const { name } of collections) {
-    // Skip system collections
-    if (name.startsWith('system.')) continue;
-    await db.collection(name).deleteMany({});
-  }
+// COVERAGE_PROVIDER=v8: counted by V8 instead of lmieulet:meteor-coverage's instrumented code.
+// Started before the app's files are loaded, so the code they run at load time counts too.
+const usesV8Coverage = !!coverageOptions && coverageOptions.provider === 'v8';
+if (usesV8Coverage) {
+  startServerCoverage({ appFolder: coverageOptions.appFolder, exclude: testFilePattern });
 }
 
-function getCallerFile() {
+/**
+ * Find the test file and line a describe() or it() was called from
+ * @returns {{file: string, line: number}|undefined}
+ */
+function getCallerLocation() {
   const stack = new Error().stack || '';
 
-  // Match any test file pattern in any folder:
+  // Find the innermost frame in a test file, in any folder:
   // - imports/.../foo.app-spec.ts
-  // - server/.../foo.app-test.ts
-  // - tests/foo.spec.ts
-  // Stack format: "at module (imports/api/foo.app-spec.js:11:1)"
-  // Capture: path between ( and : that ends with test pattern
-  const moduleMatch = stack.match(/\(([^)\s]+\.(app-spec|app-test|spec|test)\.[tj]s):/);
-  if (moduleMatch) {
-    return normalizePath(moduleMatch[1]);
+  // - server/.../foo.app-test.tsx
+  // - tests/foo.spec.mjs
+  // Stack format: "at module (imports/api/foo.app-spec.js:11:1)" or "at imports/api/foo.app-spec.js:11:1"
+  const frames = stack.split('\n').slice(1);
+  for (let i = 0; i < frames.length; i++) {
+    const frameMatch = frames[i].match(/\(?([^()\s]+):(\d+):\d+\)?$/);
+    if (frameMatch && testFilePattern.test(frameMatch[1])) {
+      return { file: normalizePath(frameMatch[1]), line: parseInt(frameMatch[2], 10) };
+    }
   }
 
   return undefined;
 }
 
-// Wrap global describe to capture file info
-if (typeof global.describe === 'function') {
-  const originalDescribe = global.describe;
-
-  global.describe = function(title, fn) {
-    const suite = originalDescribe(title, fn);
-    if (suite && !suiteToFile.has(suite)) {
-      const file = getCallerFile();
-      if (file) {
-        suiteToFile.set(suite, file);
-        suite.file = file; // Also set on suite for easier access
-      }
-    }
-    return suite;
-  };
+/**
+ * Record where a suite or test was declared, the first time it is seen
+ * describe.only() and friends call the plain function internally, which would see it again
+ */
+function recordLocation(runnable) {
+  if (!runnable || typeof runnable !== 'object' || runnable.line !== undefined) return;
+  const location = getCallerLocation();
+  if (!location) return;
+  Object.assign(runnable, location);
+  if (runnable.suites) suiteToFile.set(runnable, location.file);
+}
 
-  // Preserve describe.only and describe.skip
-  global.describe.only = function(title, fn) {
-    const suite = originalDescribe.only(title, fn);
-    if (suite && !suiteToFile.has(suite)) {
-      const file = getCallerFile();
-      if (file) {
-        suiteToFile.set(suite, file);
-        suite.file = file;
-      }
-    }
-    return suite;
+/**
+ * Wrap a Mocha interface function so the suite or test it returns records its location
+ * The `only` and `skip` variants are wrapped too, other properties are copied over
+ */
+function withLocation(interfaceFn) {
+  const wrapped = function withLocationWrapper(...args) {
+    const runnable = interfaceFn.apply(this, args);
+    recordLocation(runnable);
+    return runnable;
   };
-
-  global.describe.skip = originalDescribe.skip;
+  Object.keys(interfaceFn).forEach((key) => {
+    const value = interfaceFn[key];
+    wrapped[key] = (key === 'only' || key === 'skip') && typeof value === 'function' ? withLocation(value) : value;
+  });
+  return wrapped;
 }
 
+// Wrap the global BDD and TDD interface functions to capture file and line info
+// This must happen BEFORE test files are loaded (at module scope)
+[
+  'describe', 'context', 'xdescribe', 'xcontext',
+  'it', 'specify', 'xit', 'xspecify',
+  'suite', 'test',
+].forEach((name) => {
+  if (typeof global[name] === 'function') {
+    global[name] = withLocation(global[name]);
+  }
+});
+
 // Daemon mode: allow multiple test runs without recreating the Mocha instance
-const isDaemonMode = !!process.env.TEST_DAEMON;
+const isDaemonMode = runnerOptions.daemon;
 if (isDaemonMode) {
   // Use Mocha's method API to set options properly
   mochaInstance.cleanReferencesAfterRun(false);
 }
 
-if (Package['browser-policy-common'] && Package['browser-policy-content']) {
-  const { BrowserPolicy } = Package['browser-policy-common'];
-
-  // Allow the remote mocha.css file to be inserted, in case any CSP stuff
-  // exists for the domain.
-  BrowserPolicy.content.allowInlineStyles();
-  BrowserPolicy.content.allowStyleOrigin('https://cdn.rawgit.com');
-}
-
-const { mochaOptions, runnerOptions, coverageOptions } = setArgs();
-const { grep, invert, reporter, serverReporter, serverOutput, clientOutput } = mochaOptions || {};
-
 // Since intermingling client and server log lines would be confusing,
 // the idea here is to buffer all client logs until server tests have
 // finished running and then dump the buffer to the screen and continue
@@ -117,6 +153,9 @@ const { grep, invert, reporter, serverReporter, serverOutput, clientOutput } = m
 
 let serverTestsDone = false;
 let clientTestsRunning = false;
+let clientTestsStarted = false;
+// Set when the client code changes during a client run in watch mode
+let clientRerunQueued = false;
 const clientLines = [];
 function clientLogBuffer(line) {
   if (serverTestsDone) {
@@ -134,7 +173,8 @@ function printHeader(type) {
     '--------------------------------\n',
   ];
   lines.forEach((line) => {
-    if (type === 'CLIENT') {
+    // The daemon streams each run over its own connection, so there is nothing to interleave
+    if (type === 'CLIENT' && !isDaemonMode) {
       clientLogBuffer(line);
     } else {
       console.log(line);
@@ -142,15 +182,57 @@ function printHeader(type) {
   });
 }
 
+// Files written by reporters of this run, emptied the first time each one is written to
+const reporterOutputFiles = new Set();
+
+/**
+ * Append reporter output to its file
+ * Relative paths are resolved from the directory `meteor test` was started in.
+ */
+function writeReporterOutput(output, chunk) {
+  const file = path.resolve(process.env.PWD || process.cwd(), output);
+  if (!reporterOutputFiles.has(file)) {
+    reporterOutputFiles.add(file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '');
+  }
+  fs.appendFileSync(file, chunk);
+}
+
+// Results for the combined report (COMBINED_REPORT_XML, COMBINED_REPORT_JSON) and the test dashboard
+const testMode = Meteor.isAppTest ? 'app' : 'unit';
+const serverResults = createResultCollector('server', testMode);
+const clientResults = createResultCollector('client', testMode);
+
+function setServerReporter() {
+  if (serverReporters) {
+    mochaInstance.reporter(createMultiReporter(mochaInstance.constructor, serverReporters, {
+      write: writeReporterOutput,
+      stdout: process.stdout,
+    }), reporterOptions);
+    return;
+  }
+
+  mochaInstance.reporter(serverReporter || reporter || 'spec', {
+    ...reporterOptions,
+    output: serverOutput || reporterOptions.output,
+  });
+}
+
 let callCount = 0;
 let clientFailures = 0;
 let serverFailures = 0;
+let serverWorkerResults = null; // Per-worker results when the server tests ran in worker processes
+let serverShardTests = 0; // Server tests in this shard (TEST_SHARD)
+let clientShardTests = null; // Client tests in this shard, as counted by the headless browser
 function exitIfDone(type, failures) {
   callCount++;
   if (type === 'client') {
     clientFailures = failures;
+    clientResults.finish();
   } else {
     serverFailures = failures;
+    serverResults.finish();
     serverTestsDone = true;
     clientLines.forEach((line) => {
       // printing and removing the extra new-line character. The first was added by the client log, the second here.
@@ -158,29 +240,81 @@ function exitIfDone(type, failures) {
     });
   }
 
-  if (callCount === 2) {
-    // We only need to show this final summary if we ran both kinds of tests in the same console
-    if (runnerOptions.runServer && runnerOptions.runClient && runnerOptions.browserDriver) {
-      console.log('All tests finished!\n');
+  // Both sides are done once the count reaches 2; further calls come from client re-runs in watch mode
+  if (callCount >= 2) {
+    // We only need to show this final summary if we ran both kinds of tests in the same console,
+    // the server tests in several workers, a shard, or tests that only passed on retry.
+    // A client re-run reprints it with the last server results.
+    const ranClientTests = runnerOptions.runClient && runnerOptions.browserDriver;
+    const flakyTests = [...serverResults.tests, ...clientResults.tests].filter(({ flaky }) => flaky);
+    if ((runnerOptions.runServer && ranClientTests) || serverWorkerResults || shardOptions || flakyTests.length > 0 || callCount > 2) {
+      console.log(callCount > 2 ? 'Client tests finished!\n' : 'All tests finished!\n');
       console.log('--------------------------------');
-      console.log(`${Meteor.isAppTest ? 'APP ' : ''}SERVER FAILURES: ${serverFailures}`);
-      console.log(`${Meteor.isAppTest ? 'APP ' : ''}CLIENT FAILURES: ${clientFailures}`);
+      if (shardOptions) {
+        const clientCount = clientShardTests === null ? '' : `, ${clientShardTests} client test${clientShardTests === 1 ? '' : 's'}`;
+        console.log(`SHARD ${shardOptions.index}/${shardOptions.count}: ${serverShardTests} server test${serverShardTests === 1 ? '' : 's'}${clientCount}`);
+      }
+      console.log(`${Meteor.isAppTest ? 'APP ' : ''}SERVER FAILURES: ${serverFailures}${callCount > 2 ? ' (not re-run)' : ''}`);
+      if (serverWorkerResults) {
+        serverWorkerResults.forEach(({ index, failures: workerFailures, files, crashed }) => {
+          const detail = crashed ? 'crashed' : `${files} file${files === 1 ? '' : 's'}`;
+          console.log(`  worker ${index}/${serverWorkerResults.length}: ${workerFailures} (${detail})`);
+        });
+      }
+      if (ranClientTests) {
+        console.log(`${Meteor.isAppTest ? 'APP ' : ''}CLIENT FAILURES: ${clientFailures}`);
+      }
+      if (flakyTests.length > 0) {
+        console.log(`FLAKY TESTS: ${flakyTests.length}`);
+        flakyTests.forEach((test) => {
+          console.log(`  ${test.side}: ${test.fullTitle} (passed after ${test.retries} ${test.retries === 1 ? 'retry' : 'retries'})`);
+        });
+      }
       console.log('--------------------------------');
     }
 
-    handleCoverage(coverageOptions).then(() => {
+    writeCombinedReport([serverResults, clientResults], reportOptions);
+
+    handleCoverage(coverageOptions).then((coveragePassed) => {
       // if no env for TEST_WATCH, tests should exit when done
       if (!runnerOptions.testWatch) {
-        if (clientFailures + serverFailures > 0) {
-          process.exit(1); // exit with non-zero status if there were failures
+        // exit with non-zero status if there were failures, or coverage failed to export or fell short
+        if (clientFailures + serverFailures > 0 || !coveragePassed) {
+          process.exit(1);
         } else {
           process.exit(0);
         }
       }
+    }).catch((e) => {
+      console.error(`Failed to export the code coverage: ${e.message}`);
+      process.exit(1);
     });
   }
 }
 
+// Split the server test files across worker processes with a database each (TEST_SERVER_WORKERS)
+function serverWorkerTests(cb) {
+  const count = runnerOptions.serverWorkers;
+  console.log(`Running server test files in ${count} workers\n`);
+
+  runServerWorkers(count, {
+    serverOutput,
+    onWorkerDone({ index, output }) {
+      console.log(`--- SERVER WORKER ${index}/${count} ---`);
+      console.log(output.replace(/\n+$/, ''));
+    },
+  }).then((results) => {
+    serverWorkerResults = results;
+    results.forEach(({ tests }) => serverResults.add(tests || []));
+    exitIfDone('server', results.reduce((sum, { failures }) => sum + failures, 0));
+  }).catch((e) => {
+    console.error(`Could not run the server tests in workers: ${e.message}`);
+    exitIfDone('server', 1);
+  }).then(() => {
+    if (cb) cb();
+  });
+}
+
 function serverTests(cb) {
   if (!runnerOptions.runServer) {
     console.log('SKIPPING SERVER TESTS BECAUSE TEST_SERVER=0');
@@ -190,6 +324,12 @@ function serverTests(cb) {
   }
 
   printHeader('SERVER');
+  serverResults.start();
+
+  if (runnerOptions.serverWorkers > 1) {
+    serverWorkerTests(cb);
+    return;
+  }
 
   if (grep) mochaInstance.grep(grep);
   if (invert) mochaInstance.invert(invert);
@@ -198,11 +338,9 @@ function serverTests(cb) {
   // We need to set the reporter when the tests actually run to ensure no conflicts with
   // other test driver packages that may be added to the app but are not actually being
   // used on this run.
-  mochaInstance.reporter(serverReporter || reporter || 'spec', {
-    output: serverOutput,
-  });
+  setServerReporter();
 
-  mochaInstance.run((failureCount) => {
+  const runner = mochaInstance.run((failureCount) => {
     if (typeof failureCount !== 'number') {
       console.log('Mocha did not return a failure count for server tests as expected');
       exitIfDone('server', 1);
@@ -211,9 +349,179 @@ function serverTests(cb) {
     }
     if (cb) cb();
   });
+
+  forwardRunnerEvents(runner, serverResults.record, mochaInstance.constructor);
+}
+
+// Inside a worker process: run this worker's share of the files and hand the result to the parent
+function workerTests() {
+  const { workerIndex: index, serverWorkers: count } = runnerOptions;
+  const files = keepWorkerSuites(mochaInstance.suite, index, count);
+
+  if (grep) mochaInstance.grep(grep);
+  if (invert) mochaInstance.invert(invert);
+  mochaInstance.color(true);
+  setServerReporter();
+
+  const runner = mochaInstance.run((failureCount) => {
+    // The parent merges the test results into its own
+    reportWorkerResult(
+      { failures: typeof failureCount === 'number' ? failureCount : 1, files, tests: serverResults.tests },
+      () => process.exit(0),
+    );
+  });
+
+  forwardRunnerEvents(runner, serverResults.record, mochaInstance.constructor);
+}
+
+// The client run whose events the headless browser is posting to /test/client-events
+let clientEventRun = null;
+
+/**
+ * Replay a client run from the events the browser sends
+ * `attach(runner)` hooks reporters or listeners to the replayed runner, and may return a
+ * `(callback)` function that finishes them once the run is over.
+ */
+function createClientEventRun(attach) {
+  const { runner, handle, end } = createRunnerFromEvents(mochaInstance.constructor);
+  const finishListeners = attach(runner) || ((callback) => callback());
+
+  const eventRun = {
+    cancelled: false,
+    // Tests selected in the browser, known once it started the run
+    get total() {
+      return runner.total;
+    },
+    handle(event) {
+      if (!eventRun.cancelled) handle(event);
+    },
+    // Stop replaying; the browser is told on its next post and aborts the run
+    cancel() {
+      eventRun.cancelled = true;
+    },
+    finish(callback) {
+      end();
+      finishListeners(callback);
+    },
+  };
+  return eventRun;
+}
+
+/**
+ * Run the client reporters on a replayed client run
+ * Reporter output that would go to the console is buffered like the rest of the browser output.
+ */
+function attachClientReporters(runner) {
+  const Mocha = mochaInstance.constructor;
+
+  let partialLine = '';
+  const writeConsole = (chunk) => {
+    if (clientOutput) {
+      writeReporterOutput(clientOutput, chunk);
+      return;
+    }
+    const lines = `${partialLine}${chunk}`.split('\n');
+    partialLine = lines.pop();
+    lines.forEach((line) => clientLogBuffer(line));
+  };
+
+  // There is no page to render the html reporter into on the server
+  const reporters = (clientReporters || [{ name: clientReporter || reporter || 'spec' }])
+    .filter(({ name }) => name !== 'html');
+  const Reporter = createMultiReporter(Mocha, reporters, {
+    write: writeReporterOutput,
+    console: writeConsole,
+    stdout: process.stdout,
+  });
+  // Not the options of the server's Mocha instance, whose reporter writes to the server's files.
+  // Client reports go to their own files from CLIENT_TEST_REPORTERS, or to CLIENT_MOCHA_OUTPUT.
+  const clientReporterOptions = withoutFileOptions(reporterOptions);
+  const reporterInstance = new Reporter(runner, {
+    reporterOption: clientReporterOptions,
+    reporterOptions: clientReporterOptions,
+  });
+
+  forwardRunnerEvents(runner, clientResults.record, Mocha);
+
+  return (callback) => {
+    reporterInstance.done(runner.stats.failures, () => {
+      if (partialLine) clientLogBuffer(partialLine);
+      callback();
+    });
+  };
+}
+
+// Receives the runner events of the client tests from the headless browser
+function setupClientEventsEndpoint() {
+  WebApp.connectHandlers.use('/test/client-events', (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const events = JSON.parse(body);
+        // Events of a run that already finished, e.g. from a browser that reloaded, are dropped
+        if (clientEventRun) events.forEach((event) => clientEventRun.handle(event));
+        if (clientEventRun && clientEventRun.cancelled) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ cancelled: true }));
+          return;
+        }
+        res.writeHead(204);
+      } catch (e) {
+        console.error('Failed to replay client test events:', e.message);
+        res.writeHead(400);
+      }
+      res.end();
+    });
+  });
+}
+
+// Server results for the test dashboard of a browser opened by hand
+function setupServerResultsEndpoint() {
+  WebApp.connectHandlers.use('/test/server-results', (req, res) => {
+    let state = 'running';
+    if (!runnerOptions.runServer) {
+      state = 'skipped';
+    } else if (serverTestsDone) {
+      state = 'done';
+    }
+    const { stats, tests } = buildCombinedJson([serverResults]);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ state, stats, tests }));
+  });
+}
+
+// The browser asks for its coverage to be taken before it reports the tests as done,
+// since it is closed right after
+function setupClientCoverageEndpoint() {
+  WebApp.connectHandlers.use('/test/client-coverage', (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    addBrowserCoverage().then(() => {
+      res.writeHead(204);
+      res.end();
+    }, (e) => {
+      console.error('Failed to collect client coverage:', e.message);
+      res.writeHead(500);
+      res.end();
+    });
+  });
 }
 
 function clientTests() {
+  clientTestsStarted = true;
   if (clientTestsRunning) {
     console.log('CLIENT TESTS ALREADY RUNNING');
     return;
@@ -234,54 +542,219 @@ function clientTests() {
 
   printHeader('CLIENT');
   clientTestsRunning = true;
+  clientResults.start();
+  clientEventRun = createClientEventRun(attachClientReporters);
+
+  const writeClientOutput = (data) => {
+    if (clientOutput) {
+      writeReporterOutput(clientOutput, data.toString());
+    } else {
+      clientLogBuffer(data.toString());
+    }
+  };
+
+  if (usesV8Coverage) startBrowserCoverage(coverageOptions.browserPort);
 
   startBrowser({
-    stdout(data) {
-      if (clientOutput) {
-        fs.appendFileSync(clientOutput, data.toString());
-      } else {
-        clientLogBuffer(data.toString());
-      }
-    },
-    writebuffer(data) {
-      if (clientOutput) {
-        fs.appendFileSync(clientOutput, data.toString());
-      } else {
-        clientLogBuffer(data.toString());
-      }
-    },
-    stderr(data) {
-      if (clientOutput) {
-        fs.appendFileSync(clientOutput, data.toString());
-      } else {
-        clientLogBuffer(data.toString());
-      }
-    },
+    stdout: writeClientOutput,
+    writebuffer: writeClientOutput,
+    stderr: writeClientOutput,
     done(failureCount) {
       clientTestsRunning = false;
-      if (typeof failureCount !== 'number') {
-        console.log('The browser driver package did not return a failure count for server tests as expected');
-        exitIfDone('client', 1);
-      } else {
-        exitIfDone('client', failureCount);
-      }
+      if (usesV8Coverage) stopBrowserCoverage();
+      const eventRun = clientEventRun;
+      clientEventRun = null;
+      eventRun.finish(() => {
+        if (eventRun.cancelled) {
+          console.log('CLIENT TESTS CANCELLED');
+        } else {
+          if (shardOptions) clientShardTests = eventRun.total;
+          if (typeof failureCount !== 'number') {
+            console.log('The browser driver package did not return a failure count for server tests as expected');
+            exitIfDone('client', 1);
+          } else {
+            exitIfDone('client', failureCount);
+          }
+        }
+
+        if (clientRerunQueued) {
+          clientRerunQueued = false;
+          clientTests();
+        }
+      });
     },
   });
 }
 
 // Daemon mode: run tests on-demand via HTTP instead of at startup
-let daemonTestsRunning = false;
-let clientDisconnected = false;
+// The run in progress, if any. Its `abort(reason)` returns a promise that
+// resolves once the run has been cleaned up and the daemon is free again.
+let currentDaemonRun = null;
+
+// Run requests waiting for the daemon, oldest first
+const daemonRunQueue = [];
+
+function writeEvent(res, event) {
+  if (res.writableEnded) return;
+  try {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  } catch (e) {
+    // Connection closed
+  }
+}
 
-function runDaemonTests(grepPattern, invert, res, options = {}) {
-  if (daemonTestsRunning) {
-    res.write(`data: ${JSON.stringify({ type: 'error', data: 'Tests already running - wait or restart daemon' })}\n\n`);
-    res.end();
+function sendQueuePositions() {
+  daemonRunQueue.forEach((entry, index) => {
+    writeEvent(entry.res, {
+      type: 'queued', runId: entry.id, position: index + 1, queueLength: daemonRunQueue.length,
+    });
+  });
+}
+
+function startNextQueuedRun() {
+  if (currentDaemonRun || daemonRunQueue.length === 0) return;
+  const entry = daemonRunQueue.shift();
+  entry.start();
+  sendQueuePositions();
+}
+
+/**
+ * Start a run right away if the daemon is free, otherwise queue it
+ * Runs start in the order they were requested
+ */
+function scheduleDaemonRun(entry) {
+  if (!currentDaemonRun && daemonRunQueue.length === 0) {
+    entry.start();
     return;
   }
 
-  daemonTestsRunning = true;
-  clientDisconnected = false;
+  const queued = { ...entry, queuedAt: Date.now() };
+  daemonRunQueue.push(queued);
+  sendQueuePositions();
+
+  // Drop the request if its client gives up waiting
+  entry.res.on('close', () => {
+    const index = daemonRunQueue.indexOf(queued);
+    if (index !== -1) {
+      daemonRunQueue.splice(index, 1);
+      sendQueuePositions();
+    }
+  });
+}
+
+// Options for the client part of the current daemon run, served to the
+// browser through /test/client-run when it loads the test page
+let daemonClientRunOptions = null;
+// Whether a page got them already. Only the browser launched for the run should run the
+// tests, not a tab that happens to be open on the app.
+let daemonClientRunClaimed = false;
+
+/**
+ * Run client tests for a daemon request in a fresh headless browser
+ * Browser output is passed to `onOutput` instead of the daemon console, and the runner
+ * events the browser posts to /test/client-events are passed to `onEvent` as structured events.
+ */
+function runDaemonClientTests(grepPattern, invertMatch, options, { onOutput, onEvent }, done) {
+  const runOptions = {
+    grep: grepPattern || '',
+    invert: invertMatch,
+    bail: !!options.bail,
+    retries: options.retries,
+    clientReporter: options.reporter === 'json' ? 'json' : (clientReporter || reporter || 'spec'),
+  };
+  daemonClientRunOptions = runOptions;
+  daemonClientRunClaimed = false;
+
+  const eventRun = createClientEventRun((runner) => {
+    forwardRunnerEvents(runner, onEvent, mochaInstance.constructor);
+  });
+  clientEventRun = eventRun;
+
+  const forward = (data) => onOutput(data.toString());
+
+  if (usesV8Coverage) startBrowserCoverage(coverageOptions.browserPort);
+
+  startBrowser({
+    stdout: forward,
+    writebuffer: forward,
+    stderr: forward,
+    done(failureCount) {
+      if (usesV8Coverage) stopBrowserCoverage();
+      // An aborted run may have been followed by a new one in the meantime
+      if (daemonClientRunOptions === runOptions) {
+        daemonClientRunOptions = null;
+      }
+      if (clientEventRun === eventRun) {
+        clientEventRun = null;
+      }
+      eventRun.finish(() => {
+        if (typeof failureCount !== 'number') {
+          console.log('The browser driver package did not return a failure count for client tests as expected');
+          done(1);
+        } else {
+          done(failureCount);
+        }
+      });
+    },
+  });
+}
+
+/**
+ * Export the coverage of a daemon run and summarize it by file
+ * The reports set at startup are exported along with lcov and json-summary.
+ * @returns {Promise<{total, files, passed}>} `passed` is false if an export failed or a threshold wasn't met
+ */
+async function collectDaemonCoverage() {
+  const options = coverageOptions || { out: {}, thresholds: [], appFolder: process.env.PWD || process.cwd() };
+  const passed = await handleCoverage({
+    ...options,
+    // Importing a dump would mix other runs into the coverage of this one
+    in: { coverage: false },
+    out: { ...options.out, lcovonly: true, json_summary: true },
+  });
+  // After the export, which adds the server's V8 coverage
+  const summary = summarizeCoverage({
+    appFolder: options.appFolder,
+    exclude: testFilePattern,
+    coverage: usesV8Coverage ? getV8Coverage() : undefined,
+  });
+  return { ...summary, passed };
+}
+
+function runDaemonTests(grepPattern, invert, res, options = {}) {
+  const run = {
+    id: options.id,
+    description: options.description,
+    target: options.target || 'server',
+    startedAt: Date.now(),
+    runner: null,
+    phase: 'prepare',
+    aborted: false,
+    finished: false,
+    clientDisconnected: false,
+    serverFailures: 0,
+    flaky: [], // Server tests that passed on retry
+  };
+  run.done = new Promise((resolve) => { run.resolveDone = resolve; });
+  currentDaemonRun = run;
+
+  const { target } = run;
+  const runServer = target !== 'client';
+  const runClient = target !== 'server';
+
+  // Database reset for this run: the daemon's settings, overridden by the request.
+  // Without a configured strategy, the app's own reset hook wins over deleting everything.
+  const runResetOptions = { ...resetOptions, ...options.reset };
+  if (!runResetOptions.strategy) {
+    runResetOptions.strategy = hasDatabaseResetHook() ? 'hook' : 'delete';
+  }
+  const resetDatabaseFor = async (when) => {
+    try {
+      await resetDatabase(runResetOptions, when);
+    } catch (e) {
+      console.error(`[daemon] Failed to reset collections ${when} run:`, e.message);
+    }
+  };
 
   // Set snapshot update mode if requested (for snapshot testing)
   const previousSnapshotUpdate = process.env.SNAPSHOT_UPDATE;
@@ -289,12 +762,12 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
     process.env.SNAPSHOT_UPDATE = '1';
   }
 
-  // Handle client disconnect - reset flag so new clients can run
+  // Nobody is listening once the client disconnects, so stop the run and free the daemon
   res.on('close', () => {
-    if (daemonTestsRunning) {
+    if (!run.finished) {
       console.log('[daemon] Client disconnected while tests running');
-      clientDisconnected = true;
-      // Note: Tests keep running but we track disconnect for cleanup
+      run.clientDisconnected = true;
+      run.abort('client disconnected');
     }
   });
 
@@ -313,17 +786,21 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
   mochaInstance.options.invert = invert;
 
   // Set bail mode if requested (stop on first failure)
-  if (options.bail) {
+  if (options.bail || mochaOptions.bail) {
     mochaInstance.bail(true);
   } else {
     mochaInstance.bail(false); // Reset for next run
   }
 
+  // Retries for this run only; those set at startup are restored when it finishes
+  const restoreRetries = options.retries !== undefined ? overrideRetries(mochaInstance.suite, options.retries) : null;
+
   // Use JSON reporter if requested, otherwise default to spec
   const useJsonReporter = options.reporter === 'json';
   mochaInstance.color(!useJsonReporter); // No ANSI colors in JSON mode
   mochaInstance.reporter(useJsonReporter ? 'json' : (serverReporter || reporter || 'spec'), {
-    output: serverOutput,
+    ...reporterOptions,
+    output: serverOutput || reporterOptions.output,
   });
 
   // Capture all output (console + process.stdout/stderr) and stream via SSE
@@ -333,24 +810,17 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
   const originalStdoutWrite = process.stdout.write.bind(process.stdout);
   const originalStderrWrite = process.stderr.write.bind(process.stderr);
 
-  // Buffer for JSON reporter output (collected and sent at end)
+  // Buffers for JSON reporter output (collected and sent at end)
   let jsonBuffer = '';
+  let clientJsonBuffer = '';
 
-  const sendLog = (data) => {
-    try {
-      res.write(`data: ${JSON.stringify({ type: 'log', data })}\n\n`);
-    } catch (e) {
-      // Connection closed
-    }
+  const sendEvent = (event) => {
+    if (run.clientDisconnected) return;
+    writeEvent(res, event);
   };
 
-  const sendError = (data) => {
-    try {
-      res.write(`data: ${JSON.stringify({ type: 'error', data })}\n\n`);
-    } catch (e) {
-      // Connection closed
-    }
-  };
+  const sendLog = (data, source = 'server') => sendEvent({ type: 'log', source, data });
+  const sendError = (data) => sendEvent({ type: 'error', data });
 
   process.stdout.write = (chunk, encoding, callback) => {
     const str = chunk.toString();
@@ -379,29 +849,32 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
     originalError.apply(console, args);
   };
 
-  // Skip header in JSON mode to keep output clean
-  if (!useJsonReporter) {
-    printHeader('SERVER');
-  }
+  // Browser output goes to the daemon log as-is and is streamed tagged as client output
+  const onClientOutput = (str) => {
+    originalStdoutWrite(str);
+    if (useJsonReporter) {
+      clientJsonBuffer += str;
+    } else {
+      sendLog(str.replace(/\n$/, ''), 'client');
+    }
+  };
 
   // Send heartbeat every 10s so client knows we're alive even if tests produce no output
   const heartbeat = setInterval(() => {
-    try {
-      res.write(`data: ${JSON.stringify({ type: 'heartbeat' })}\n\n`);
-    } catch (e) {
-      clearInterval(heartbeat);
-    }
+    sendEvent({ type: 'heartbeat' });
   }, 10000);
 
-  mochaInstance.run(async (failureCount) => {
+  const finish = async (serverFailureCount, clientFailureCount) => {
+    // An aborted client part finishes early, so the browser's own result may still arrive
+    if (run.finished) return;
+    run.finished = true;
     clearInterval(heartbeat);
+    const failureCount = serverFailureCount + clientFailureCount;
 
-    // Reset all collections after tests complete to prevent inter-run pollution
-    try {
-      await resetAllCollections();
-    } catch (e) {
-      console.error('[daemon] Failed to reset collections:', e.message);
-    }
+    // Reset the database after tests complete to prevent inter-run pollution
+    await resetDatabaseFor('after');
+
+    if (restoreRetries) restoreRetries();
 
     // Restore all output handlers
     process.stdout.write = originalStdoutWrite;
@@ -409,6 +882,17 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
     console.log = originalLog;
     console.error = originalError;
 
+    // After the output is restored, so the export's messages stay out of the JSON reporter output
+    let coverage = null;
+    if (options.coverage && !run.aborted) {
+      try {
+        coverage = await collectDaemonCoverage();
+      } catch (e) {
+        console.error(`Failed to collect the code coverage: ${e.message}`);
+        coverage = { passed: false, error: e.message };
+      }
+    }
+
     // Restore SNAPSHOT_UPDATE env var
     if (previousSnapshotUpdate !== undefined) {
       process.env.SNAPSHOT_UPDATE = previousSnapshotUpdate;
@@ -416,30 +900,155 @@ function runDaemonTests(grepPattern, invert, res, options = {}) {
       delete process.env.SNAPSHOT_UPDATE;
     }
 
-    daemonTestsRunning = false;
+    currentDaemonRun = null;
+    daemonClientRunOptions = null;
 
-    if (clientDisconnected) {
-      console.log(`[daemon] Tests completed (${failureCount} failures) but client already disconnected`);
+    if (run.clientDisconnected) {
+      console.log(`[daemon] Tests ${run.aborted ? 'aborted' : 'completed'} (${failureCount} failures) but client already disconnected`);
     } else {
+      // Send JSON reporter output if using JSON mode
+      if (useJsonReporter && jsonBuffer) {
+        sendEvent({ type: 'json', source: 'server', data: jsonBuffer.trim() });
+      }
+      if (useJsonReporter && clientJsonBuffer) {
+        sendEvent({ type: 'json', source: 'client', data: clientJsonBuffer.trim() });
+      }
+      if (coverage) {
+        sendEvent({ type: 'coverage', ...coverage });
+      }
+      if (run.aborted) {
+        sendEvent({ type: 'aborted', reason: run.abortReason });
+      }
+      sendEvent({
+        type: 'done',
+        target,
+        aborted: run.aborted,
+        failures: failureCount,
+        serverFailures: serverFailureCount,
+        clientFailures: clientFailureCount,
+        flaky: run.flaky,
+      });
       try {
-        // Send JSON reporter output if using JSON mode
-        if (useJsonReporter && jsonBuffer) {
-          res.write(`data: ${JSON.stringify({ type: 'json', data: jsonBuffer.trim() })}\n\n`);
-        }
-        res.write(`data: ${JSON.stringify({ type: 'done', failures: failureCount })}\n\n`);
         res.end();
       } catch (e) {
         // Connection closed
       }
     }
+
+    run.resolveDone();
+    startNextQueuedRun();
+  };
+
+  run.abort = (reason) => {
+    if (!run.aborted && !run.finished) {
+      console.log(`[daemon] Aborting test run (${reason})`);
+      run.aborted = true;
+      run.abortReason = reason;
+      if (run.phase === 'server') {
+        // Mocha stops after the current test or hook and then calls the run callback,
+        // which cleans up. The instance can't be re-run before that happens.
+        run.runner.abort();
+      } else if (run.phase === 'client') {
+        // The browser aborts once it hears of the cancelled run, but the daemon doesn't wait for it
+        if (clientEventRun) clientEventRun.cancel();
+        finish(run.serverFailures, 0);
+      }
+      // While preparing, the run checks for the abort before starting any tests
+    }
+    return run.done;
+  };
+
+  // Typed per-test events alongside the reporter output, for tools that
+  // want live progress without parsing it
+  const onTestEvent = (source) => (event) => {
+    if (event.type === 'pass' && event.retries) {
+      run.flaky.push({ source, fullTitle: event.fullTitle, file: event.file, retries: event.retries });
+    }
+    sendEvent({ ...event, source });
+  };
+
+  const runClientPart = (serverFailureCount) => {
+    run.serverFailures = serverFailureCount;
+    // Honour bail and abort across both parts of the run
+    if (!runClient || run.aborted || (options.bail && serverFailureCount > 0)) {
+      finish(serverFailureCount, 0);
+      return;
+    }
+    run.phase = 'client';
+    if (!useJsonReporter) {
+      printHeader('CLIENT');
+    }
+    runDaemonClientTests(options.clientGrep !== undefined ? options.clientGrep : grepPattern, invert, options, { onOutput: onClientOutput, onEvent: onTestEvent('client') }, (clientFailureCount) => {
+      finish(serverFailureCount, clientFailureCount);
+    });
+  };
+
+  const runServerPart = () => {
+    run.phase = 'server';
+
+    // Skip header in JSON mode to keep output clean
+    if (!useJsonReporter) {
+      printHeader('SERVER');
+    }
+
+    run.runner = mochaInstance.run((failureCount) => {
+      runClientPart(failureCount);
+    });
+
+    forwardRunnerEvents(run.runner, onTestEvent('server'), mochaInstance.constructor);
+  };
+
+  resetDatabaseFor('before').then(() => {
+    // Counting from zero, the coverage afterwards is that of this run alone
+    if (!options.coverage) return undefined;
+    return usesV8Coverage ? resetV8Coverage() : resetCoverageCounters();
+  }).catch((e) => {
+    console.error('[daemon] Failed to reset the coverage:', e.message);
+  }).then(() => {
+    if (run.aborted) {
+      finish(0, 0);
+    } else if (runServer) {
+      runServerPart();
+    } else {
+      runClientPart(0);
+    }
   });
 }
 
 /**
- * Escape special regex characters in a string
+ * Build a map of file paths to the suites and tests declared in them
+ * Each entry has the full title, the line it starts on and whether it is pending (skipped)
  */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function buildDetailedFileMap() {
+  const fileMap = {};
+  const entryFor = (file) => {
+    if (!fileMap[file]) {
+      fileMap[file] = { suites: [], tests: [] };
+    }
+    return fileMap[file];
+  };
+  const toEntry = (runnable) => ({
+    title: runnable.fullTitle(),
+    line: runnable.line,
+    pending: runnable.isPending(),
+  });
+
+  function walkSuites(suite, parentFile) {
+    const file = suite.file || parentFile;
+    if (file && suite.title) {
+      entryFor(file).suites.push(toEntry(suite));
+    }
+    suite.tests.forEach((test) => {
+      const testFile = test.file || file;
+      if (testFile) {
+        entryFor(testFile).tests.push(toEntry(test));
+      }
+    });
+    suite.suites.forEach((child) => walkSuites(child, file));
+  }
+
+  walkSuites(mochaInstance.suite, undefined);
+  return fileMap;
 }
 
 /**
@@ -465,65 +1074,6 @@ function buildFileMap() {
   return fileMap;
 }
 
-/**
- * Check if pattern matches file path using whole path element matching.
- * Pattern segments must match complete path segments in the file.
- * e.g., "abc" matches "abc/def/file.ts" but not "abcd/file.ts"
- * e.g., "abc/def" matches "abc/def/file.ts" but not "abc/defg/file.ts"
- */
-function pathMatchesPattern(filePath, pattern) {
-  // Remove trailing slashes and split into segments
-  const fileSegments = filePath.replace(/\/+$/, '').split('/');
-  const patternSegments = pattern.replace(/\/+$/, '').split('/');
-
-  // Pattern must have fewer or equal segments to match
-  if (patternSegments.length > fileSegments.length) {
-    return false;
-  }
-
-  // Look for pattern as a contiguous sequence anywhere in file path
-  for (let start = 0; start <= fileSegments.length - patternSegments.length; start++) {
-    let matches = true;
-    for (let i = 0; i < patternSegments.length; i++) {
-      if (fileSegments[start + i] !== patternSegments[i]) {
-        matches = false;
-        break;
-      }
-    }
-    if (matches) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-/**
- * Find all suite titles that match a file pattern
- * Both input pattern and stored paths are normalized for consistent matching
- * Pattern matching uses whole path elements (not substring)
- */
-function findSuitesForFile(filePattern) {
-  const normalizedPattern = normalizePath(filePattern);
-  const fileSuites = [];
-
-  function findSuites(suite, parentFile) {
-    const file = suite.file || parentFile;
-    if (file) {
-      const normalizedFile = normalizePath(file);
-      if (pathMatchesPattern(normalizedFile, normalizedPattern) && suite.title) {
-        fileSuites.push(escapeRegex(suite.fullTitle()));
-      }
-    }
-    if (suite.suites) {
-      suite.suites.forEach(child => findSuites(child, file));
-    }
-  }
-
-  findSuites(mochaInstance.suite, undefined);
-  return fileSuites;
-}
-
 function setupDaemonEndpoints() {
   // Health check endpoint
   WebApp.connectHandlers.use('/test/health', (req, res) => {
@@ -532,66 +1082,234 @@ function setupDaemonEndpoints() {
     res.end(JSON.stringify({
       status: 'ready',
       suites: suiteCount,
-      running: daemonTestsRunning,
+      running: !!currentDaemonRun,
+      queued: daemonRunQueue.length,
     }));
   });
 
+  // Run in progress and queued run requests
+  WebApp.connectHandlers.use('/test/queue', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      running: currentDaemonRun ? {
+        id: currentDaemonRun.id,
+        description: currentDaemonRun.description,
+        target: currentDaemonRun.target,
+        startedAt: currentDaemonRun.startedAt,
+      } : null,
+      queued: daemonRunQueue.map((entry, index) => ({
+        position: index + 1,
+        id: entry.id,
+        description: entry.description,
+        target: entry.target,
+        queuedAt: entry.queuedAt,
+      })),
+    }, null, 2));
+  });
+
+  // Abort a run by the id /test/run gave it, and respond once the daemon is free again.
+  // Another client's run that started in the meantime is left alone.
+  WebApp.connectHandlers.use('/test/abort', (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    const runId = new URL(req.url, `http://${req.headers.host}`).searchParams.get('run');
+    if (!runId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing run: the id of the run to abort, from /test/run' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (!currentDaemonRun || currentDaemonRun.id !== runId) {
+      res.end(JSON.stringify({ aborted: false, running: !!currentDaemonRun }));
+      return;
+    }
+    currentDaemonRun.abort('abort requested').then(() => {
+      res.end(JSON.stringify({ aborted: true, running: !!currentDaemonRun }));
+    });
+  });
+
   // File-to-suite mapping endpoint
+  // With ?tests=1, each file lists its suites and tests with line and pending state
   WebApp.connectHandlers.use('/test/files', (req, res) => {
-    const fileMap = buildFileMap();
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const fileMap = url.searchParams.get('tests') === '1' ? buildDetailedFileMap() : buildFileMap();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(fileMap, null, 2));
   });
 
+  // Options for the browser launched by the current client run. The first page to ask gets them,
+  // any other page is told there is nothing to run.
+  WebApp.connectHandlers.use('/test/client-run', (req, res) => {
+    const runOptions = daemonClientRunClaimed ? null : daemonClientRunOptions;
+    if (runOptions) daemonClientRunClaimed = true;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(runOptions));
+  });
+
   // Run tests endpoint (SSE streaming)
   WebApp.connectHandlers.use('/test/run', (req, res) => {
     // Parse query params
     const url = new URL(req.url, `http://${req.headers.host}`);
     const grepPattern = url.searchParams.get('grep') || '';
-    const filePattern = url.searchParams.get('file') || '';
+    // `file` may be repeated to run the tests of several files
+    const filePatterns = url.searchParams.getAll('file').filter(Boolean);
     const invert = url.searchParams.get('invert') === '1';
     const reporter = url.searchParams.get('reporter') || 'spec';
     const snapshotUpdate = url.searchParams.get('snapshotUpdate') === '1';
     const bail = url.searchParams.get('bail') === '1';
+    const coverage = url.searchParams.get('coverage') === '1';
+    // Retries of failed tests for this run, overriding MOCHA_RETRIES
+    const retriesParam = url.searchParams.get('retries');
+    const retries = retriesParam === null || retriesParam === '' ? undefined : Number(retriesParam);
+    const target = url.searchParams.get('target') || 'server';
+    // Database reset strategy and timing for this run, overriding TEST_DB_RESET and TEST_DB_RESET_WHEN
+    const reset = {};
+    if (url.searchParams.get('reset')) reset.strategy = url.searchParams.get('reset');
+    if (url.searchParams.get('resetWhen')) reset.when = url.searchParams.get('resetWhen');
+    // With `line`, only the test or suite at that line of `file` runs
+    const line = parseInt(url.searchParams.get('line'), 10) || 0;
+    // Exact tests (`test`) and whole suites (`suite`) by full title
+    const titleEntries = [
+      ...url.searchParams.getAll('test').map((fullTitle) => ({ fullTitle, suite: false })),
+      ...url.searchParams.getAll('suite').map((fullTitle) => ({ fullTitle, suite: true })),
+    ];
+
+    // Identifies the run to /test/abort
+    const runId = crypto.randomBytes(8).toString('hex');
 
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
+      'X-Test-Run-Id': runId,
     });
 
+    const rejectRun = (message) => {
+      res.write(`data: ${JSON.stringify({ type: 'error', data: message })}\n\n`);
+      res.write(`data: ${JSON.stringify({ type: 'done', failures: 1 })}\n\n`);
+      res.end();
+    };
+
+    if (!['server', 'client', 'both'].includes(target)) {
+      rejectRun(`Unknown target: ${target} (expected server, client or both)`);
+      return;
+    }
+
+    if (retries !== undefined && !(Number.isInteger(retries) && retries >= 0)) {
+      rejectRun(`Invalid retries: ${retriesParam} (expected a whole number of 0 or more)`);
+      return;
+    }
+
+    if (coverage && !usesV8Coverage && !hasCoverageCounters()) {
+      rejectRun('No coverage counters - start the daemon with COVERAGE=1 and either COVERAGE_PROVIDER=v8 or the lmieulet:meteor-coverage package');
+      return;
+    }
+
+    if (reset.strategy && !RESET_STRATEGIES.includes(reset.strategy)) {
+      rejectRun(`Unknown reset strategy: ${reset.strategy} (expected ${RESET_STRATEGIES.join(', ')})`);
+      return;
+    }
+
+    if (reset.when && !RESET_TIMES.includes(reset.when)) {
+      rejectRun(`Unknown reset time: ${reset.when} (expected ${RESET_TIMES.join(', ')})`);
+      return;
+    }
+
+    if (reset.strategy === 'snapshot' && !hasDatabaseSnapshot()) {
+      rejectRun('No database snapshot - start the daemon with TEST_DB_RESET=snapshot');
+      return;
+    }
+
+    if (target !== 'server' && !runnerOptions.browserDriver) {
+      rejectRun('Client tests need a headless browser - set TEST_BROWSER_DRIVER when starting the daemon');
+      return;
+    }
+
+    // File attribution is only captured for server suites
+    if (target === 'client' && filePatterns.length > 0) {
+      rejectRun('File filtering is only supported for server tests');
+      return;
+    }
+
+    // The server test or suite at `line`
+    let lineEntry = null;
+    if (line) {
+      if (filePatterns.length !== 1) {
+        rejectRun('line needs exactly one file');
+        return;
+      }
+      const runnable = findRunnableAtLine(mochaInstance.suite, filePatterns[0], line);
+      if (!runnable) {
+        rejectRun(`No test found at ${filePatterns[0]}:${line}`);
+        return;
+      }
+      lineEntry = { fullTitle: runnable.fullTitle(), suite: !!runnable.suites };
+    }
+
     // If file specified, convert to grep pattern
-    let effectiveGrep = grepPattern;
     let description = grepPattern || 'all tests';
+    let fileGrep = '';
 
-    if (filePattern) {
-      const fileSuites = findSuitesForFile(filePattern);
+    if (filePatterns.length > 0) {
+      const fileSuites = [];
+      filePatterns.forEach((filePattern) => {
+        findSuitesForFile(mochaInstance.suite, filePattern).forEach((title) => {
+          if (!fileSuites.includes(title)) fileSuites.push(title);
+        });
+      });
 
       if (fileSuites.length === 0) {
-        res.write(`data: ${JSON.stringify({ type: 'error', data: `No tests found for file: ${filePattern}` })}\n\n`);
-        res.write(`data: ${JSON.stringify({ type: 'done', failures: 1 })}\n\n`);
-        res.end();
+        rejectRun(`No tests found for file: ${filePatterns.join(', ')}`);
         return;
       }
 
       // Build regex that matches any of the suite titles
-      const fileGrep = `^(${fileSuites.join('|')})`;
-
-      // Combine with existing grep if present
-      if (grepPattern) {
-        effectiveGrep = `(?=${fileGrep})(?=.*${grepPattern})`;
-      } else {
-        effectiveGrep = fileGrep;
-      }
+      fileGrep = `^(${fileSuites.join('|')})`;
 
       // Use filename for description
-      const filename = filePattern.split('/').pop();
+      let filename = filePatterns.length === 1 ? filePatterns[0].split('/').pop() : `${filePatterns.length} files`;
+      if (line) filename += `:${line}`;
       description = grepPattern ? `${filename} (${grepPattern})` : filename;
     }
 
-    res.write(`data: ${JSON.stringify({ type: 'start', grep: description, invert })}\n\n`);
+    // Tests selected by full title
+    if (titleEntries.length > 0) {
+      const count = `${titleEntries.length} test${titleEntries.length === 1 ? '' : 's'}`;
+      description = description === 'all tests' ? count : `${description}, ${count}`;
+    }
 
-    runDaemonTests(effectiveGrep, invert, res, { reporter, snapshotUpdate, bail });
+    // Combine file, title and grep filters - every one of them has to match
+    const combineGreps = (constraints) => {
+      if (constraints.length === 0) return grepPattern;
+      if (grepPattern) constraints.push(`.*${grepPattern}`);
+      return constraints.length === 1 ? constraints[0] : constraints.map((c) => `(?=${c})`).join('');
+    };
+    const titlesGrep = titleEntries.length > 0 ? buildTitlesGrep(titleEntries) : '';
+    const lineGrep = lineEntry ? buildTitlesGrep([lineEntry]) : '';
+    const effectiveGrep = combineGreps([fileGrep, titlesGrep, lineGrep].filter(Boolean));
+    // Files and lines only select server suites, so with target=both the
+    // client part runs the tests that match the other filters
+    const clientGrep = combineGreps([titlesGrep].filter(Boolean));
+
+    scheduleDaemonRun({
+      id: runId,
+      res,
+      description,
+      target,
+      start() {
+        writeEvent(res, {
+          type: 'start', runId, grep: description, invert, target,
+        });
+        runDaemonTests(effectiveGrep, invert, res, {
+          id: runId, reporter, snapshotUpdate, bail, retries, coverage, target, description, reset, clientGrep,
+        });
+      },
+    });
   });
 
   console.log('\n========================================');
@@ -604,12 +1322,43 @@ function setupDaemonEndpoints() {
 
 // Before Meteor calls the `start` function, app tests will be parsed and loaded by Mocha
 function start() {
+  if (usesV8Coverage && runnerOptions.browserDriver) setupClientCoverageEndpoint();
+  // The daemon streams the events of its client runs too
+  if (isDaemonMode && runnerOptions.browserDriver) setupClientEventsEndpoint();
+
   // In daemon mode, don't run tests at startup - wait for HTTP requests
   if (isDaemonMode) {
-    setupDaemonEndpoints();
+    if (resetOptions.strategy && !RESET_STRATEGIES.includes(resetOptions.strategy)) {
+      console.warn(`[daemon] Unknown TEST_DB_RESET: ${resetOptions.strategy} - deleting all documents instead`);
+    }
+    if (resetOptions.strategy !== 'snapshot') {
+      setupDaemonEndpoints();
+      return;
+    }
+    // The snapshot has to be taken before any run touches the database
+    takeDatabaseSnapshot(resetOptions)
+      .then((count) => console.log(`[daemon] Database snapshot taken of ${count} collection(s)`))
+      .catch((e) => console.error('[daemon] Failed to take database snapshot:', e.message))
+      .then(() => setupDaemonEndpoints());
     return;
   }
 
+  // Every process of a sharded run, workers included, keeps the same part of the server tests
+  if (shardOptions) {
+    serverShardTests = applyShard(mochaInstance.suite, shardOptions, 'server');
+  }
+
+  if (runnerOptions.workerIndex) {
+    workerTests();
+    return;
+  }
+
+  if (runnerOptions.runClient && runnerOptions.browserDriver) {
+    setupClientEventsEndpoint();
+  } else if (runnerOptions.dashboard) {
+    setupServerResultsEndpoint();
+  }
+
   // Run in PARALLEL or SERIES
   // Running in series is a better default since it avoids db and state conflicts for newbs.
   // If you want parallel you will know these risks.
@@ -625,14 +1374,30 @@ function start() {
   }
 }
 
-export { start };
+export { start, registerDatabaseReset };
 
-onMessage('client-refresh', (options) => {
-  console.log('CLIENT TESTS RESTARTING (client-refresh)', options === undefined ? '' : options);
-  clientTests();
-});
+/**
+ * Run the client tests again after the client code changed, without touching the server tests
+ * A change during a client run cancels that run and queues a new one for when the browser is done.
+ */
+function rerunClientTests(source, options) {
+  // The daemon only launches browsers for /test/run requests
+  if (isDaemonMode) return;
+  // Client tests that haven't started yet will load the new code anyway,
+  // and a browser opened by hand reloads itself
+  if (!clientTestsStarted || !runnerOptions.runClient || !runnerOptions.browserDriver) return;
+
+  if (clientTestsRunning) {
+    console.log(`CLIENT TESTS RESTARTING AFTER THE CURRENT RUN (${source})`, options === undefined ? '' : options);
+    clientRerunQueued = true;
+    if (clientEventRun) clientEventRun.cancel();
+    return;
+  }
 
-onMessage('webapp-reload-client', (options) => {
-  console.log('CLIENT TESTS RESTARTING (webapp-reload-client)', options === undefined ? '' : options);
+  console.log(`CLIENT TESTS RESTARTING (${source})`, options === undefined ? '' : options);
   clientTests();
-});
+}
+
+onMessage('client-refresh', (options) => rerunClientTests('client-refresh', options));
+
+onMessage('webapp-reload-client', (options) => rerunClientTests('webapp-reload-client', options));
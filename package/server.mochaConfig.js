@@ -0,0 +1,101 @@
+/* global Npm */
+import fs from 'fs';
+import path from 'path';
+// Installed by Npm.depends in package.js
+import yaml from 'js-yaml';
+
+// Read in this order, each overriding the ones before it. Environment variables override them all.
+const CONFIG_FILES = ['.mocharc.json', '.mocharc.yaml', '.mocharc.yml', '.mocharc.cjs', '.mocharc.js'];
+
+// The options this package passes on to Mocha, on the server and in the browser
+const OPTIONS = [
+  'grep', 'invert', 'reporter', 'reporterOptions',
+  'timeout', 'slow', 'retries', 'bail', 'forbidOnly', 'forbidPending', 'checkLeaks', 'ui',
+];
+
+// Mocha accepts the command line spelling of its options in config files too
+const ALIASES = {
+  'reporter-option': 'reporterOptions',
+  'reporter-options': 'reporterOptions',
+  reporterOption: 'reporterOptions',
+  'forbid-only': 'forbidOnly',
+  'forbid-pending': 'forbidPending',
+  'check-leaks': 'checkLeaks',
+  g: 'grep',
+  i: 'invert',
+  R: 'reporter',
+  O: 'reporterOptions',
+  t: 'timeout',
+  s: 'slow',
+  b: 'bail',
+  u: 'ui',
+};
+
+// `reporter-option` can be a list of `key=value` strings, like on the command line
+function parseReporterOptions(value) {
+  if (!Array.isArray(value) && typeof value !== 'string') return value;
+  return [].concat(value).reduce((options, pair) => {
+    pair.split(',').forEach((entry) => {
+      const [key, ...rest] = entry.split('=');
+      if (key) Object.assign(options, { [key.trim()]: rest.length > 0 ? rest.join('=') : true });
+    });
+    return options;
+  }, {});
+}
+
+function normalize(config) {
+  const options = {};
+  Object.keys(config || {}).forEach((key) => {
+    const name = ALIASES[key] || key;
+    if (!OPTIONS.includes(name)) return;
+    let value = config[key];
+    if (name === 'reporterOptions') value = parseReporterOptions(value);
+    // `timeout: false` turns timeouts off, as does 0
+    if (name === 'timeout' && value === false) value = 0;
+    options[name] = value;
+  });
+  return options;
+}
+
+function readConfigFile(file) {
+  const extension = path.extname(file);
+  if (extension === '.js' || extension === '.cjs') {
+    // Resolved by Node, outside of the app bundle
+    return Npm.require(file);
+  }
+  const content = fs.readFileSync(file, 'utf8');
+  if (extension === '.json') return JSON.parse(content);
+  return yaml.safeLoad(content);
+}
+
+/**
+ * Load the Mocha options of the app, from the `mocha` key of its package.json and its
+ * `.mocharc.{json,yaml,yml,cjs,js}` files, merged in that order
+ * A file that fails to load is skipped with an error.
+ * @param {string} appDir - the root directory of the app
+ * @returns {object} the options this package supports, by their Mocha API name
+ */
+export default function loadMochaConfig(appDir) {
+  const options = {};
+
+  const packageFile = path.join(appDir, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    try {
+      Object.assign(options, normalize(JSON.parse(fs.readFileSync(packageFile, 'utf8')).mocha));
+    } catch (e) {
+      console.error(`Failed to read the mocha options of ${packageFile}: ${e.message}`);
+    }
+  }
+
+  CONFIG_FILES.forEach((name) => {
+    const file = path.join(appDir, name);
+    if (!fs.existsSync(file)) return;
+    try {
+      Object.assign(options, normalize(readConfigFile(file)));
+    } catch (e) {
+      console.error(`Failed to read the mocha options of ${file}: ${e.message}`);
+    }
+  });
+
+  return options;
+}
@@ -0,0 +1,122 @@
+import { MongoInternals } from 'meteor/mongo';
+
+export const RESET_STRATEGIES = ['none', 'delete', 'drop', 'snapshot', 'hook'];
+export const RESET_TIMES = ['before', 'after', 'both'];
+
+let resetHook = null;
+let snapshot = null;
+
+function getDb() {
+  return MongoInternals.defaultRemoteCollectionDriver().mongo.db;
+}
+
+/**
+ * Register the app's own database reset, used by the `hook` strategy
+ * The hook is called with `{ db, when }` and may return a promise.
+ */
+export function registerDatabaseReset(hook) {
+  resetHook = hook;
+}
+
+export function hasDatabaseResetHook() {
+  return !!resetHook;
+}
+
+export function hasDatabaseSnapshot() {
+  return !!snapshot;
+}
+
+/**
+ * List the collections a reset applies to
+ * System collections are always skipped. `collections` restricts the reset to the
+ * listed collections, `exclude` leaves the listed ones alone.
+ */
+async function listCollections(db, { collections = [], exclude = [] }) {
+  const all = await db.listCollections().toArray();
+  return all
+    .map(({ name }) => name)
+    .filter((name) => !name.startsWith('system.'))
+    .filter((name) => collections.length === 0 || collections.includes(name))
+    .filter((name) => !exclude.includes(name));
+}
+
+async function deleteAll(db, names) {
+  await Promise.all(names.map((name) => db.collection(name).deleteMany({})));
+}
+
+// Dropping is faster than deleting every document of a large collection, but loses
+// the collection options (capped, size, validator...) and the indexes, so they are
+// read first and set again afterwards
+async function dropAndRecreateIndexes(db, names) {
+  const infos = await db.listCollections({ name: { $in: names } }).toArray();
+  const optionsByName = new Map(infos.map(({ name, options }) => [name, options]));
+  await Promise.all(names.map(async (name) => {
+    const collection = db.collection(name);
+    const indexes = (await collection.indexes()).filter((index) => index.name !== '_id_');
+    await collection.drop();
+    await db.createCollection(name, optionsByName.get(name) || {});
+    if (indexes.length > 0) {
+      await collection.createIndexes(indexes.map(({ v, ns, ...index }) => index));
+    }
+  }));
+}
+
+async function restoreSnapshot(db, names) {
+  await Promise.all(names.map(async (name) => {
+    const collection = db.collection(name);
+    await collection.deleteMany({});
+    const documents = snapshot[name] || [];
+    if (documents.length > 0) {
+      await collection.insertMany(documents);
+    }
+  }));
+}
+
+/**
+ * Keep a copy of every document in the collections covered by the reset options,
+ * to be restored by the `snapshot` strategy
+ */
+export async function takeDatabaseSnapshot(resetOptions) {
+  const db = getDb();
+  const names = await listCollections(db, resetOptions);
+  const documents = await Promise.all(names.map((name) => db.collection(name).find({}).toArray()));
+  snapshot = {};
+  names.forEach((name, index) => {
+    snapshot[name] = documents[index];
+  });
+  return names.length;
+}
+
+/**
+ * Reset the database between daemon runs
+ * @param {object} resetOptions - `{ strategy, when, collections, exclude }`
+ * @param {string} when - `before` or `after` the run; does nothing unless `resetOptions.when` covers it
+ */
+export default async function resetDatabase(resetOptions, when) {
+  const { strategy } = resetOptions;
+  if (strategy === 'none') return;
+  if (resetOptions.when !== 'both' && resetOptions.when !== when) return;
+
+  const db = getDb();
+
+  if (strategy === 'hook') {
+    if (!resetHook) {
+      throw new Error('No database reset hook registered - call registerDatabaseReset() from your app');
+    }
+    await resetHook({ db, when });
+    return;
+  }
+
+  const names = await listCollections(db, resetOptions);
+
+  if (strategy === 'drop') {
+    await dropAndRecreateIndexes(db, names);
+  } else if (strategy === 'snapshot') {
+    if (!snapshot) {
+      throw new Error('No database snapshot - start the daemon with TEST_DB_RESET=snapshot');
+    }
+    await restoreSnapshot(db, names);
+  } else {
+    await deleteAll(db, names);
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Normalize a file path to be relative to project root
+ * Strips leading slashes and ensures forward slashes
+ */
+export function normalizePath(filepath) {
+  if (!filepath) return filepath;
+  // Remove leading slash if present
+  let normalized = filepath.replace(/^\/+/, '');
+  // Ensure forward slashes (Windows compat)
+  normalized = normalized.replace(/\\/g, '/');
+  return normalized;
+}
+
+/**
+ * Escape special regex characters in a string
+ */
+export function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a grep pattern that matches exactly the given tests, and every test of the given suites
+ * @param {Array<{fullTitle: string, suite: boolean}>} entries
+ */
+export function buildTitlesGrep(entries) {
+  const alternatives = entries.map(({ fullTitle, suite }) => {
+    if (!suite) return `${escapeRegex(fullTitle)}$`;
+    // The root suite has no title and contains every test
+    return fullTitle ? `${escapeRegex(fullTitle)} ` : '';
+  });
+  return `^(?:${alternatives.join('|')})`;
+}
+
+/**
+ * Check if pattern matches file path using whole path element matching.
+ * Pattern segments must match complete path segments in the file.
+ * e.g., "abc" matches "abc/def/file.ts" but not "abcd/file.ts"
+ * e.g., "abc/def" matches "abc/def/file.ts" but not "abc/defg/file.ts"
+ */
+export function pathMatchesPattern(filePath, pattern) {
+  // Remove trailing slashes and split into segments
+  const fileSegments = filePath.replace(/\/+$/, '').split('/');
+  const patternSegments = pattern.replace(/\/+$/, '').split('/');
+
+  // Pattern must have fewer or equal segments to match
+  if (patternSegments.length > fileSegments.length) {
+    return false;
+  }
+
+  // Look for pattern as a contiguous sequence anywhere in file path
+  for (let start = 0; start <= fileSegments.length - patternSegments.length; start++) {
+    let matches = true;
+    for (let i = 0; i < patternSegments.length; i++) {
+      if (fileSegments[start + i] !== patternSegments[i]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Find all suite titles that match a file pattern
+ * Both input pattern and stored paths are normalized for consistent matching
+ * Pattern matching uses whole path elements (not substring)
+ * @param {Suite} rootSuite - The root suite of the Mocha instance
+ * @param {string} filePattern
+ */
+export function findSuitesForFile(rootSuite, filePattern) {
+  const normalizedPattern = normalizePath(filePattern);
+  const fileSuites = [];
+
+  function findSuites(suite, parentFile) {
+    const file = suite.file || parentFile;
+    if (file) {
+      const normalizedFile = normalizePath(file);
+      if (pathMatchesPattern(normalizedFile, normalizedPattern) && suite.title) {
+        fileSuites.push(escapeRegex(suite.fullTitle()));
+      }
+    }
+    if (suite.suites) {
+      suite.suites.forEach((child) => findSuites(child, file));
+    }
+  }
+
+  findSuites(rootSuite, undefined);
+  return fileSuites;
+}
+
+/**
+ * Find the test or suite declared in a file whose range contains a line
+ * Only start lines are known, so a runnable's range runs until the next
+ * runnable declared at the same level. Descends from the outermost suites
+ * of the file into the closest child, and stops at a test or at a suite
+ * none of whose children start on or before the line.
+ * @param {Suite} rootSuite - The root suite of the Mocha instance
+ * @param {string} filePattern
+ * @param {number} line
+ */
+export function findRunnableAtLine(rootSuite, filePattern, line) {
+  const normalizedPattern = normalizePath(filePattern);
+  const isDeclaredInFile = (runnable) => runnable.file && typeof runnable.line === 'number'
+    && pathMatchesPattern(normalizePath(runnable.file), normalizedPattern);
+
+  // Collect the outermost suites declared in the file, wherever they are nested
+  const outermost = [];
+  function collect(suite) {
+    suite.suites.forEach((child) => {
+      if (isDeclaredInFile(child)) {
+        outermost.push(child);
+      } else {
+        collect(child);
+      }
+    });
+  }
+  collect(rootSuite);
+
+  let selected = null;
+  let candidates = outermost;
+  while (candidates.length > 0) {
+    const closest = candidates
+      .filter((runnable) => isDeclaredInFile(runnable) && runnable.line <= line)
+      .reduce((best, runnable) => (!best || runnable.line >= best.line ? runnable : best), null);
+    if (!closest) break;
+    selected = closest;
+    candidates = closest.suites ? [...closest.suites, ...closest.tests] : [];
+  }
+
+  return selected;
+}
@@ -0,0 +1,344 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import inspector from 'inspector';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import v8 from 'v8';
+// Installed by Npm.depends in package.js
+import CDP from 'chrome-remote-interface';
+import libCoverage from 'istanbul-lib-coverage';
+import libReport from 'istanbul-lib-report';
+import reports from 'istanbul-reports';
+import v8ToIstanbul from 'v8-to-istanbul';
+
+// Meteor names the sources of its bundles `meteor://💻app/<path in the app>`
+const METEOR_SOURCE = /^meteor:\/\/[^/]*app\//;
+
+// Istanbul's report for each `out` option
+const REPORTS = {
+  lcovonly: 'lcovonly',
+  html: 'html',
+  json: 'json',
+  json_summary: 'json-summary',
+  text_summary: 'text-summary',
+};
+
+// What each report is written as in the output folder, unless named otherwise. The html
+// report goes to the folder itself and the text summary is printed.
+export const DEFAULT_NAMES = {
+  coverage: 'coverage.json',
+  lcovonly: 'lcov.info',
+  json: 'coverage-final.json',
+  json_summary: 'coverage-summary.json',
+};
+
+let settings = { appFolder: process.cwd(), exclude: null };
+let serverSession = null;
+let browser = null;
+// The coverage converted since the last reset, server and client
+let coverageMap = libCoverage.createCoverageMap({});
+
+function post(session, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    (url.startsWith('https:') ? https : http).get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`${url} answered ${res.statusCode}`));
+        return;
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+}
+
+// Only the app's own files count: not packages, npm modules or files that only exist in the bundle
+function isAppFile(file) {
+  const relative = path.relative(settings.appFolder, file).split(path.sep).join('/');
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return false;
+  if (/(^|\/)(node_modules|\.meteor)\//.test(relative)) return false;
+  if (settings.exclude && settings.exclude.test(relative)) return false;
+  return fs.existsSync(file);
+}
+
+// Point the sources of a bundle's source map to the files in the app folder
+function resolveSources(sourceMap) {
+  return {
+    ...sourceMap,
+    sourceRoot: '',
+    sources: sourceMap.sources.map((source) => (METEOR_SOURCE.test(source)
+      ? path.join(settings.appFolder, source.replace(METEOR_SOURCE, ''))
+      : source)),
+  };
+}
+
+/**
+ * Convert the V8 coverage of a script to Istanbul's format, by the original files of its source map
+ * @param {object} script - `path`, `source` as on disk, `wrapperLength`, `sourceMap` and V8's `functions`
+ */
+async function convertScript(script) {
+  const converter = v8ToIstanbul(script.path, script.wrapperLength, {
+    source: script.source,
+    sourceMap: { sourcemap: resolveSources(script.sourceMap) },
+  }, (file) => !isAppFile(file));
+  await converter.load();
+  converter.applyCoverage(script.functions);
+  return converter.toIstanbul();
+}
+
+async function addScripts(scripts) {
+  const converted = await Promise.all(scripts.filter(Boolean).map((script) => convertScript(script).catch((error) => {
+    console.error(`Failed to convert the coverage of ${script.path}: ${error.message}`);
+    return {};
+  })));
+  converted.forEach((fileCoverage) => coverageMap.merge(fileCoverage));
+}
+
+function scriptFile(url) {
+  const file = url.startsWith('file://') ? fileURLToPath(url) : url;
+  return path.isAbsolute(file) ? file : null;
+}
+
+// The bundles Meteor builds for the server have their source map next to them
+async function loadServerScript(script) {
+  const file = scriptFile(script.url);
+  if (!file || file.includes(`${path.sep}node_modules${path.sep}`) || !fs.existsSync(`${file}.map`)) return null;
+
+  const source = fs.readFileSync(file, 'utf8');
+  // Meteor runs each bundle wrapped in a function, which shifts V8's offsets
+  let wrapperLength = 0;
+  try {
+    const { scriptSource } = await post(serverSession, 'Debugger.getScriptSource', { scriptId: script.scriptId });
+    wrapperLength = Math.max(scriptSource.indexOf(source), 0);
+  } catch (e) {
+    // Not known to the debugger, e.g. already collected
+  }
+  return {
+    path: file,
+    source,
+    wrapperLength,
+    sourceMap: JSON.parse(fs.readFileSync(`${file}.map`, 'utf8')),
+    functions: script.functions,
+  };
+}
+
+// NODE_V8_COVERAGE: Node writes what it collected since the last call into a new file
+function takeNodeCoverage(directory) {
+  v8.takeCoverage();
+  const prefix = `coverage-${process.pid}-`;
+  const newest = fs.readdirSync(directory)
+    .filter((name) => name.startsWith(prefix) && name.endsWith('.json'))
+    .map((name) => path.join(directory, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+  return newest ? JSON.parse(fs.readFileSync(newest, 'utf8')).result : [];
+}
+
+// Taking the coverage also sets V8's counters to zero
+async function takeServerCoverage() {
+  if (!serverSession) return [];
+  if (process.env.NODE_V8_COVERAGE) return takeNodeCoverage(process.env.NODE_V8_COVERAGE);
+  const { result } = await post(serverSession, 'Profiler.takePreciseCoverage');
+  return result;
+}
+
+/**
+ * Start counting the code the server runs, before the app's files are loaded
+ * With NODE_V8_COVERAGE set, Node has been counting since it started and that is used instead.
+ * @param {object} options
+ * @param {string} options.appFolder - only files in this folder are reported
+ * @param {RegExp} [options.exclude] - files to leave out, e.g. the test files themselves
+ */
+export function startServerCoverage({ appFolder, exclude }) {
+  settings = { appFolder, exclude };
+  serverSession = new inspector.Session();
+  serverSession.connect();
+  const failed = (error) => {
+    if (error) console.error(`Failed to start collecting server coverage: ${error.message}`);
+  };
+  // Messages to a session in the same process are handled right away, and in order,
+  // so counting starts before Meteor loads the next file
+  // The debugger knows the sources as they ran, wrapper included
+  serverSession.post('Debugger.enable', failed);
+  if (!process.env.NODE_V8_COVERAGE) {
+    serverSession.post('Profiler.enable', failed);
+    serverSession.post('Profiler.startPreciseCoverage', { callCount: true, detailed: true }, failed);
+  }
+}
+
+/**
+ * Add the server coverage since the last call to the coverage of the run
+ */
+export async function addServerCoverage() {
+  const scripts = await takeServerCoverage();
+  await addScripts(await Promise.all(scripts.map(loadServerScript)));
+}
+
+function connectToBrowser(port, deadline) {
+  return CDP.Version({ port })
+    .then(({ webSocketDebuggerUrl }) => CDP({ target: webSocketDebuggerUrl }))
+    .catch((error) => {
+      if (Date.now() > deadline) {
+        throw new Error(`No browser with remote debugging on port ${port}: ${error.message}`);
+      }
+      return new Promise((resolve) => {
+        setTimeout(resolve, 200);
+      }).then(() => connectToBrowser(port, deadline));
+    });
+}
+
+/**
+ * Follow the pages of the headless browser through the Chrome DevTools Protocol and count the code
+ * they run. The browser has to be started with its remote debugging port open.
+ * Pages opened later wait until counting has started; a page already open is reloaded.
+ * @param {number} port - the remote debugging port of the browser
+ */
+export function startBrowserCoverage(port) {
+  // Scripts by id, of each attached page by session id
+  const pages = new Map();
+
+  const watchPage = async (client, sessionId, waitingForDebugger) => {
+    const scripts = new Map();
+    pages.set(sessionId, scripts);
+    client.on('Debugger.scriptParsed', (params, eventSessionId) => {
+      if (eventSessionId === sessionId) scripts.set(params.scriptId, params);
+    });
+    await client.send('Profiler.enable', {}, sessionId);
+    await client.send('Profiler.startPreciseCoverage', { callCount: true, detailed: true }, sessionId);
+    await client.send('Debugger.enable', {}, sessionId);
+    if (waitingForDebugger) {
+      await client.send('Runtime.runIfWaitingForDebugger', {}, sessionId);
+    } else {
+      await client.send('Page.reload', {}, sessionId);
+    }
+  };
+
+  const connected = connectToBrowser(port, Date.now() + 10000).then(async (client) => {
+    client.on('Target.attachedToTarget', ({ sessionId, targetInfo, waitingForDebugger }) => {
+      const watched = targetInfo.type === 'page'
+        ? watchPage(client, sessionId, waitingForDebugger)
+        : client.send('Runtime.runIfWaitingForDebugger', {}, sessionId);
+      watched.catch((error) => console.error(`Failed to collect the coverage of ${targetInfo.url}: ${error.message}`));
+    });
+    client.on('Target.detachedFromTarget', ({ sessionId }) => pages.delete(sessionId));
+    await client.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+    return client;
+  });
+
+  const loadBrowserScript = async (client, sessionId, script) => {
+    const parsed = pages.get(sessionId).get(script.scriptId);
+    if (!parsed || !parsed.sourceMapURL || !/^https?:/.test(script.url)) return null;
+    const mapUrl = new URL(parsed.sourceMapURL, script.url).href;
+    const [{ scriptSource }, sourceMap] = await Promise.all([
+      client.send('Debugger.getScriptSource', { scriptId: script.scriptId }, sessionId),
+      mapUrl.startsWith('data:')
+        ? Buffer.from(mapUrl.slice(mapUrl.indexOf(',') + 1), 'base64').toString('utf8')
+        : download(mapUrl),
+    ]);
+    return {
+      path: new URL(script.url).pathname,
+      source: scriptSource,
+      wrapperLength: 0,
+      sourceMap: JSON.parse(sourceMap),
+      functions: script.functions,
+    };
+  };
+
+  const watcher = {
+    // Resolves to the V8 coverage of every page since the last call
+    async take() {
+      const client = await connected;
+      const results = await Promise.all([...pages.keys()].map(async (sessionId) => {
+        const { result } = await client.send('Profiler.takePreciseCoverage', {}, sessionId);
+        return Promise.all(result.map((script) => loadBrowserScript(client, sessionId, script).catch(() => null)));
+      }).map((taken) => taken.catch((error) => {
+        console.error(`Failed to take the coverage of a page: ${error.message}`);
+        return [];
+      })));
+      return [].concat(...results);
+    },
+    close() {
+      return connected.then((client) => client.close(), () => {});
+    },
+  };
+
+  if (browser) browser.close();
+  browser = watcher;
+  connected.catch((error) => console.error(`Failed to collect client coverage: ${error.message}`));
+}
+
+/**
+ * Add the coverage of the browser's pages since the last call to the coverage of the run
+ */
+export async function addBrowserCoverage() {
+  if (!browser) throw new Error('Client coverage was not started');
+  await addScripts(await browser.take());
+}
+
+/**
+ * Stop following the browser, e.g. once it is closed
+ */
+export function stopBrowserCoverage() {
+  if (!browser) return;
+  browser.close();
+  browser = null;
+}
+
+/**
+ * Forget the coverage collected so far, so what follows is the coverage of one run
+ */
+export async function resetV8Coverage() {
+  await takeServerCoverage();
+  if (browser) await browser.take().catch(() => []);
+  coverageMap = libCoverage.createCoverageMap({});
+}
+
+/**
+ * The coverage of the run so far, by file, in Istanbul's format
+ */
+export function getV8Coverage() {
+  return coverageMap.toJSON();
+}
+
+/**
+ * Merge a dump written by the `coverage` report into the coverage of the run
+ * @param {string} file
+ */
+export function importV8Dump(file) {
+  if (!fs.existsSync(file)) throw new Error(`${file} not found`);
+  coverageMap.merge(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Write one report of the coverage of the run
+ * Source maps are already applied, so there is no `remap` report.
+ * @param {string} format - an `out` option: coverage, lcovonly, html, json, json_summary or text_summary
+ * @param {string} dir - the output folder
+ * @param {string} [name] - the file, or the folder of the html report, relative to `dir`.
+ *   Without one, text_summary is printed.
+ * @returns {string|null} what was written, null if the report was printed
+ */
+export function writeV8Report(format, dir, name = DEFAULT_NAMES[format]) {
+  if (format === 'coverage') {
+    const file = path.resolve(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(coverageMap.toJSON()));
+    return file;
+  }
+  if (!REPORTS[format]) throw new Error(`There is no ${format} report with V8 coverage`);
+
+  const context = libReport.createContext({ dir, coverageMap, defaultSummarizer: 'nested' });
+  reports.create(REPORTS[format], format === 'html' ? { subdir: name } : { file: name }).execute(context);
+  if (name) return path.resolve(dir, name);
+  return format === 'html' ? dir : null;
+}
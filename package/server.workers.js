@@ -0,0 +1,170 @@
+import { MongoInternals } from 'meteor/mongo';
+import { spawn } from 'child_process';
+import fs from 'fs';
+
+import { findFile } from './runnerEvents';
+import { formatReporters, parseReporters } from './multiReporter';
+import { assignToShard, keepRootSuites } from './testShards';
+
+// A worker never watches, restarts, runs client tests or serves a shell. Settings of this package
+// are turned off rather than unset, since the worker would otherwise read them from Meteor.settings or mocha.config.js.
+const WORKER_UNSET_ENV = ['METEOR_AUTO_RESTART', 'METEOR_SHELL_DIR'];
+const WORKER_OFF_ENV = ['TEST_WATCH', 'TEST_DAEMON', 'TEST_PARALLEL', 'COVERAGE'];
+
+function getMongo() {
+  return MongoInternals.defaultRemoteCollectionDriver().mongo;
+}
+
+export function getWorkerDatabaseName(index) {
+  return `${getMongo().db.databaseName}_worker_${index}`;
+}
+
+/**
+ * Point a Mongo URL at another database, keeping hosts, credentials and options
+ * @returns {string|null} null if the URL has no database name to suffix
+ */
+export function withDatabaseName(mongoUrl, databaseName) {
+  const match = (mongoUrl || '').match(/^(mongodb(?:\+srv)?:\/\/[^/]+\/)([^?]*)(\?.*)?$/);
+  if (!match || !match[2]) return null;
+  return `${match[1]}${databaseName}${match[3] || ''}`;
+}
+
+async function dropWorkerDatabase(index) {
+  await getMongo().client.db(getWorkerDatabaseName(index)).dropDatabase();
+}
+
+// `out/server.xml` becomes `out/server.worker-2.xml`, so workers don't overwrite each other's report
+export function withWorkerSuffix(filePath, index) {
+  if (!filePath) return filePath;
+  return filePath.replace(/(\.[^./]+)?$/, (extension) => `.worker-${index}${extension}`);
+}
+
+/**
+ * Keep only the root suites whose files are assigned to this worker
+ * Files are sorted and dealt out in turn, so every worker computes the same split.
+ * Suites without a known file and tests outside any suite go to the first worker.
+ * @returns {number} the number of files this worker runs
+ */
+export function keepWorkerSuites(rootSuite, index, count) {
+  const files = rootSuite.suites.map((suite) => findFile(suite)).filter(Boolean);
+  const ownFiles = assignToShard(files, index, count);
+  keepRootSuites(rootSuite, findFile, ownFiles, index === 1);
+  return ownFiles.length;
+}
+
+/**
+ * Called by a worker when its tests are done, to send its result to the parent over IPC
+ * @param {Function} callback - called once the message is sent, so the worker can exit
+ */
+export function reportWorkerResult(result, callback) {
+  process.send({ type: 'result', result }, callback);
+}
+
+/**
+ * The environment of a worker: the parent's, with its own database and report files,
+ * and without the settings only the parent acts on
+ */
+export function buildWorkerEnv(parentEnv, index, mongoUrl, serverOutput) {
+  const env = {
+    ...parentEnv,
+    MONGO_URL: mongoUrl,
+    PORT: '0', // Any free port; workers don't serve the app
+    TEST_CLIENT: '0',
+    TEST_WORKER_INDEX: String(index),
+  };
+  WORKER_UNSET_ENV.forEach((name) => delete env[name]);
+  WORKER_OFF_ENV.forEach((name) => {
+    env[name] = '0';
+  });
+  if (serverOutput) env.SERVER_MOCHA_OUTPUT = withWorkerSuffix(serverOutput, index);
+  if (env.SERVER_TEST_REPORTERS) {
+    env.SERVER_TEST_REPORTERS = formatReporters(parseReporters(env.SERVER_TEST_REPORTERS)
+      .map((entry) => ({ ...entry, output: withWorkerSuffix(entry.output, index) })));
+  }
+  return env;
+}
+
+/**
+ * The command that starts another copy of this server: the same Node binary and script,
+ * e.g. the `main.js` of a built bundle, minus debugger flags whose ports are taken
+ * @throws {Error} if this process wasn't started from a script file
+ */
+export function getWorkerCommand({ execPath, execArgv, argv } = process) {
+  const script = argv[1];
+  if (!script || !fs.existsSync(script)) {
+    throw new Error(`the server was not started from a script file that workers can run (${script || 'none'})`);
+  }
+  return {
+    command: execPath,
+    args: [...execArgv.filter((arg) => !arg.startsWith('--inspect')), ...argv.slice(1)],
+  };
+}
+
+/**
+ * Start one worker and wait for it to exit
+ * A worker that exits without sending its result counts as one failure, so the run can't pass.
+ * @returns {Promise<{index, output, failures, files, tests, crashed}>}
+ */
+export function runWorker(index, { command, args, env }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, {
+      cwd: process.cwd(),
+      env,
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+    });
+
+    let output = '';
+    let result = null;
+    child.stdout.on('data', (data) => { output += data.toString(); });
+    child.stderr.on('data', (data) => { output += data.toString(); });
+    child.on('message', (message) => {
+      if (message && message.type === 'result') result = message.result;
+    });
+
+    child.on('error', (error) => {
+      resolve({ index, output: `${output}${error.message}\n`, failures: 1, crashed: true });
+    });
+    child.on('exit', (code) => {
+      if (!result) {
+        resolve({ index, output: `${output}\nWorker ${index} exited with code ${code} before finishing\n`, failures: 1, crashed: true });
+        return;
+      }
+      resolve({ ...result, index, output });
+    });
+  });
+}
+
+/**
+ * Run the server tests in `count` child processes, each with its own database
+ * Each worker's output is passed to `onWorkerDone` as soon as it finishes, in one piece so
+ * reporter output doesn't interleave.
+ * @returns {Promise<Array<{index, failures, files, crashed}>>} ordered by worker index
+ */
+export async function runServerWorkers(count, { serverOutput, onWorkerDone }) {
+  const indexes = Array.from({ length: count }, (value, position) => position + 1);
+  const urls = indexes.map((index) => withDatabaseName(process.env.MONGO_URL, getWorkerDatabaseName(index)));
+  if (urls.includes(null)) {
+    throw new Error('MONGO_URL has no database name to derive the worker databases from');
+  }
+  const { command, args } = getWorkerCommand();
+
+  // Left over from an interrupted run, the worker databases would leak data into this one
+  await Promise.all(indexes.map((index) => dropWorkerDatabase(index)));
+
+  const results = await Promise.all(indexes.map((index) => runWorker(index, {
+    command,
+    args,
+    env: buildWorkerEnv(process.env, index, urls[index - 1], serverOutput),
+  }).then((result) => {
+    onWorkerDone(result);
+    return result;
+  })));
+
+  try {
+    await Promise.all(indexes.map((index) => dropWorkerDatabase(index)));
+  } catch (e) {
+    console.error('Failed to drop the worker databases:', e.message);
+  }
+
+  return results.map(({ output, ...result }) => result);
+}
@@ -0,0 +1,221 @@
+import { addStylesheet } from './prepForHTMLReporter';
+
+const STORAGE_KEY = 'meteortesting:mocha:dashboard';
+const DOCK_POSITIONS = ['right', 'bottom', 'left'];
+const SERVER_POLL_INTERVAL = 2000;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Dock position and collapsed state survive reloads, which happen on every code change
+function loadSettings() {
+  try {
+    return { dock: 'right', collapsed: false, ...JSON.parse(window.localStorage.getItem(STORAGE_KEY)) };
+  } catch (e) {
+    return { dock: 'right', collapsed: false };
+  }
+}
+
+function saveSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Storage may be disabled; the panel just starts in its default place next time
+  }
+}
+
+function formatCounts({ passes = 0, failures = 0, pending = 0 }) {
+  const parts = [`${passes} passing`, `${failures} failing`];
+  if (pending > 0) parts.push(`${pending} pending`);
+  return parts.join(', ');
+}
+
+/**
+ * Keep the `grep` query parameter in sync with the filter, since Mocha applies it on every run
+ * and the address can then be shared or reloaded
+ */
+function setQueryGrep(pattern) {
+  const url = new URL(window.location.href);
+  if (pattern) {
+    url.searchParams.set('grep', pattern);
+  } else {
+    url.searchParams.delete('grep');
+  }
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Render a dockable, collapsible test panel over the app, with the HTML reporter inside it
+ * @param {object} options
+ * @param {string} [options.grep] - the filter of the first run
+ * @param {Function} options.onRun - `(pattern)`, called to run the tests matching `pattern` again
+ * @returns {{ watchRun: Function }} call `watchRun(runner)` for every run started
+ */
+export default function createTestDashboard({ grep = '', onRun }) {
+  addStylesheet('mocha.css');
+  addStylesheet('dashboard.css');
+
+  const settings = loadSettings();
+  let running = false;
+  let failedEntries = [];
+
+  const panel = el('aside');
+  panel.id = 'mocha-dashboard';
+
+  // Header: title, client summary, dock and collapse buttons
+  const header = el('header', 'mocha-dashboard-header');
+  const title = el('strong', 'mocha-dashboard-title', 'Tests');
+  const summary = el('span', 'mocha-dashboard-summary');
+  const dockButton = el('button', 'mocha-dashboard-button', 'Dock');
+  dockButton.type = 'button';
+  dockButton.title = 'Move the panel to another side of the window';
+  const collapseButton = el('button', 'mocha-dashboard-button');
+  collapseButton.type = 'button';
+  header.append(title, summary, dockButton, collapseButton);
+
+  // Toolbar: filter and re-run buttons
+  const toolbar = el('form', 'mocha-dashboard-toolbar');
+  const grepInput = el('input', 'mocha-dashboard-grep');
+  grepInput.type = 'search';
+  grepInput.placeholder = 'Filter tests (regular expression)';
+  // Mocha applies a `grep` query parameter over the configured filter
+  grepInput.value = new URLSearchParams(window.location.search).get('grep') || grep;
+  const runButton = el('button', 'mocha-dashboard-button', 'Run');
+  runButton.type = 'submit';
+  const failedButton = el('button', 'mocha-dashboard-button', 'Re-run failed');
+  failedButton.type = 'button';
+  toolbar.append(grepInput, runButton, failedButton);
+
+  // Client results, rendered by Mocha's HTML reporter
+  const body = el('div', 'mocha-dashboard-body');
+  const clientSection = el('section', 'mocha-dashboard-section');
+  const mochaDiv = el('div');
+  mochaDiv.id = 'mocha';
+  clientSection.append(el('h3', 'mocha-dashboard-heading', 'Client'), mochaDiv);
+
+  // Server results, fetched from the server run
+  const serverSection = el('section', 'mocha-dashboard-section');
+  const serverSummary = el('div', 'mocha-dashboard-server-summary', 'Waiting for server tests…');
+  const serverFailures = el('ul', 'mocha-dashboard-server-failures');
+  serverSection.append(el('h3', 'mocha-dashboard-heading', 'Server'), serverSummary, serverFailures);
+
+  body.append(clientSection, serverSection);
+  panel.append(header, toolbar, body);
+  document.body.appendChild(panel);
+
+  const applySettings = () => {
+    DOCK_POSITIONS.forEach((position) => panel.classList.toggle(`mocha-dashboard-dock-${position}`, settings.dock === position));
+    panel.classList.toggle('mocha-dashboard-collapsed', settings.collapsed);
+    collapseButton.textContent = settings.collapsed ? 'Expand' : 'Collapse';
+    saveSettings(settings);
+  };
+  applySettings();
+
+  dockButton.addEventListener('click', () => {
+    settings.dock = DOCK_POSITIONS[(DOCK_POSITIONS.indexOf(settings.dock) + 1) % DOCK_POSITIONS.length];
+    applySettings();
+  });
+  collapseButton.addEventListener('click', () => {
+    settings.collapsed = !settings.collapsed;
+    applySettings();
+  });
+
+  const updateButtons = () => {
+    runButton.disabled = running;
+    failedButton.disabled = running || failedEntries.length === 0;
+  };
+
+  const run = (pattern) => {
+    if (running) return;
+    grepInput.value = pattern;
+    setQueryGrep(pattern);
+    // Every run renders a new report
+    mochaDiv.textContent = '';
+    onRun(pattern);
+  };
+
+  toolbar.addEventListener('submit', (event) => {
+    event.preventDefault();
+    run(grepInput.value);
+  });
+
+  // A failed test runs again by its full title, a failed hook with the rest of its suite
+  failedButton.addEventListener('click', () => {
+    const patterns = failedEntries.map(({ fullTitle, suite }) => (suite ? `^${escapeRegex(fullTitle)}( |$)` : `^${escapeRegex(fullTitle)}$`));
+    run(patterns.join('|'));
+  });
+
+  // The links of the HTML reporter would reload the page with a new filter; run in place instead
+  mochaDiv.addEventListener('click', (event) => {
+    const link = event.target.closest('a');
+    if (!link || !link.search || !link.search.includes('grep=')) return;
+    event.preventDefault();
+    run(new URLSearchParams(link.search).get('grep') || '');
+  });
+
+  const showServerResults = ({ state, stats, tests }) => {
+    if (state === 'skipped') {
+      serverSummary.textContent = 'Server tests were not run';
+      return;
+    }
+    const counts = formatCounts(stats);
+    serverSummary.textContent = state === 'running' ? `Running… ${counts}` : counts;
+    serverSummary.classList.toggle('mocha-dashboard-failed', stats.failures > 0);
+
+    serverFailures.textContent = '';
+    tests.filter((test) => test.state === 'failed').forEach((test) => {
+      const item = el('li', 'mocha-dashboard-server-failure');
+      item.append(el('div', 'mocha-dashboard-server-title', test.fullTitle));
+      if (test.err) item.append(el('pre', 'mocha-dashboard-server-error', test.err.stack || test.err.message));
+      serverFailures.append(item);
+    });
+  };
+
+  // The server run ends on its own schedule, so poll until it's done
+  const pollServerResults = () => {
+    window.fetch('/test/server-results')
+      .then((response) => response.json())
+      .then((results) => {
+        showServerResults(results);
+        if (results.state === 'running') setTimeout(pollServerResults, SERVER_POLL_INTERVAL);
+      })
+      .catch(() => {
+        serverSummary.textContent = 'Server results are not available';
+      });
+  };
+  pollServerResults();
+
+  updateButtons();
+
+  return {
+    watchRun(runner) {
+      running = true;
+      failedEntries = [];
+      summary.textContent = 'Running…';
+      summary.classList.remove('mocha-dashboard-failed');
+      updateButtons();
+
+      runner.on('fail', (runnable) => {
+        if (runnable.type === 'hook') {
+          failedEntries.push({ fullTitle: runnable.parent.fullTitle(), suite: true });
+        } else {
+          failedEntries.push({ fullTitle: runnable.fullTitle(), suite: false });
+        }
+      });
+      runner.on('end', () => {
+        running = false;
+        summary.textContent = formatCounts(runner.stats || {});
+        summary.classList.toggle('mocha-dashboard-failed', failedEntries.length > 0);
+        updateButtons();
+      });
+    },
+  };
+}
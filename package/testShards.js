@@ -0,0 +1,114 @@
+import { findFile } from './runnerEvents';
+
+/**
+ * Parse a shard like `2/5`, the second of five, counting from 1
+ * @returns {{index: number, count: number}|null} null if `value` isn't a valid shard
+ */
+export function parseShard(value) {
+  const match = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) return null;
+  const index = parseInt(match[1], 10);
+  const count = parseInt(match[2], 10);
+  if (count < 1 || index < 1 || index > count) return null;
+  return { index, count };
+}
+
+/**
+ * Pick the keys that go to one of `count` shards, the same way on every machine
+ * Without weights, sorted keys are dealt out in turn. With weights, e.g. durations of a previous
+ * run, the heaviest key goes to the lightest shard until all are assigned; keys without a weight
+ * count as the average one.
+ * @param {string[]} keys
+ * @param {number} index - counting from 1
+ * @param {number} count
+ * @param {Map<string, number>} [weights]
+ * @returns {string[]} the keys of shard `index`, sorted
+ */
+export function assignToShard(keys, index, count, weights) {
+  const sorted = [...new Set(keys)].sort();
+  if (!weights || weights.size === 0) {
+    return sorted.filter((key, position) => position % count === index - 1);
+  }
+
+  const known = sorted.filter((key) => weights.has(key)).map((key) => weights.get(key));
+  const average = known.length > 0 ? known.reduce((sum, weight) => sum + weight, 0) / known.length : 1;
+  const weightOf = (key) => (weights.has(key) ? weights.get(key) : average);
+
+  const totals = Array(count).fill(0);
+  const own = [];
+  // Sorting is stable, so keys of equal weight stay in name order
+  sorted.slice().sort((a, b) => weightOf(b) - weightOf(a)).forEach((key) => {
+    const lightest = totals.indexOf(Math.min(...totals));
+    totals[lightest] += weightOf(key);
+    if (lightest === index - 1) own.push(key);
+  });
+  return own.sort();
+}
+
+/**
+ * The key a root suite is sharded by: its source file where the describe() wrapper recorded
+ * one, which is only on the server, otherwise its title
+ */
+export function getShardKey(suite) {
+  return findFile(suite) || (suite.title ? `title:${suite.title}` : undefined);
+}
+
+/**
+ * Keep only the root suites whose key is in `ownKeys`
+ * Suites without a key and tests outside any suite are kept by the first shard only.
+ * @param {object} rootSuite
+ * @param {Function} keyOf - `(suite)`, returns the key of a root suite
+ * @param {string[]} ownKeys
+ * @param {boolean} first - whether this is the first shard
+ */
+export function keepRootSuites(rootSuite, keyOf, ownKeys, first) {
+  const { suites, tests } = rootSuite;
+  const kept = suites.filter((suite) => {
+    const key = keyOf(suite);
+    return key ? ownKeys.includes(key) : first;
+  });
+  suites.splice(0, suites.length, ...kept);
+  if (!first) tests.splice(0);
+}
+
+/**
+ * Sum up the test durations of a previous JSON report, either the combined report of this
+ * package or Mocha's json reporter, by the key of their root suite
+ * Tests of the other side are left out when the report says which side ran them.
+ * @param {object} report
+ * @param {string} side - `server` or `client`
+ * @param {object} rootSuite - the suites to find the keys of
+ * @returns {Map<string, number>}
+ */
+export function getShardWeights(report, side, rootSuite) {
+  const weights = new Map();
+  const tests = ((report && report.tests) || []).filter((test) => !test.side || test.side === side);
+
+  rootSuite.suites.forEach((suite) => {
+    const key = getShardKey(suite);
+    // Several root suites can share a file or title
+    if (!key || weights.has(key)) return;
+    const file = findFile(suite);
+    const matching = tests.filter((test) => (file
+      ? test.file === file
+      : test.fullTitle === suite.title || (test.fullTitle || '').startsWith(`${suite.title} `)));
+    if (matching.length === 0) return;
+    weights.set(key, matching.reduce((sum, test) => sum + (test.duration || 0), 0));
+  });
+
+  return weights;
+}
+
+/**
+ * Keep only the root suites of one shard
+ * @param {object} rootSuite
+ * @param {{index: number, count: number, timings: object}} shardOptions - `timings` is a previous JSON report
+ * @param {string} side - `server` or `client`
+ * @returns {number} the number of tests selected
+ */
+export function applyShard(rootSuite, { index, count, timings }, side) {
+  const keys = rootSuite.suites.map((suite) => getShardKey(suite)).filter(Boolean);
+  const weights = timings ? getShardWeights(timings, side, rootSuite) : undefined;
+  keepRootSuites(rootSuite, getShardKey, assignToShard(keys, index, count, weights), index === 1);
+  return rootSuite.total();
+}
@@ -0,0 +1,4 @@
+module.exports = {
+  timeout: 5,
+  reporter: '.mocharc.cjs',
+};
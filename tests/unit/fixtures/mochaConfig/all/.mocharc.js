@@ -0,0 +1,3 @@
+module.exports = {
+  reporter: '.mocharc.js',
+};
@@ -0,0 +1,11 @@
+// Stands in for a worker process: `pass` sends a result the way server.js does, `crash` exits without one
+import { reportWorkerResult } from '../../../package/server.workers';
+
+console.log(`worker ${process.env.TEST_WORKER_INDEX} output`);
+
+if (process.argv[2] === 'pass') {
+  reportWorkerResult({ failures: 2, files: 3, tests: [{ fullTitle: 'a test', state: 'failed' }] }, () => process.exit(0));
+} else {
+  console.error('worker crashed');
+  process.exit(3);
+}
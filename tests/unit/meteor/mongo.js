@@ -0,0 +1,2 @@
+// Tested modules only import MongoInternals; the tests don't reach the database
+export const MongoInternals = {};
@@ -0,0 +1,27 @@
+import assert from 'assert';
+import Mocha from 'mocha';
+import { setBrowserReporter, withoutFileOptions } from '../../package/mochaOptions';
+
+describe('mochaOptions', function () {
+  describe('withoutFileOptions', function () {
+    it('drops the output file and keeps the other reporter options', function () {
+      assert.deepStrictEqual(withoutFileOptions({ output: 'out/server.xml', suiteName: 'App', maxDiffSize: 0 }), { suiteName: 'App', maxDiffSize: 0 });
+    });
+
+    it('returns an empty object without options', function () {
+      assert.deepStrictEqual(withoutFileOptions(undefined), {});
+      assert.deepStrictEqual(withoutFileOptions({ output: 'out/server.xml' }), {});
+    });
+  });
+
+  describe('setBrowserReporter', function () {
+    it('passes the reporter options without the output file to the reporter', function (done) {
+      const mocha = new Mocha();
+      setBrowserReporter(mocha, function Recorder(runner, options) {
+        assert.deepStrictEqual(options.reporterOption, { suiteName: 'Client' });
+        this.stats = runner.stats;
+      }, { output: 'out/server.xml', suiteName: 'Client' });
+      mocha.run(() => done());
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'assert';
+import Mocha from 'mocha';
+import { createMultiReporter, formatReporters, parseReporters } from '../../package/multiReporter';
+
+describe('multiReporter', function () {
+  describe('parseReporters', function () {
+    it('parses reporter names with optional output files', function () {
+      assert.deepStrictEqual(parseReporters('spec, xunit:out/server.xml,json:'), [
+        { name: 'spec', output: undefined },
+        { name: 'xunit', output: 'out/server.xml' },
+        { name: 'json', output: undefined },
+      ]);
+    });
+
+    it('keeps colons after the first one in the file name', function () {
+      assert.deepStrictEqual(parseReporters('xunit:C:/reports/server.xml'), [{ name: 'xunit', output: 'C:/reports/server.xml' }]);
+    });
+
+    it('returns undefined without a list and skips empty entries', function () {
+      assert.strictEqual(parseReporters(undefined), undefined);
+      assert.strictEqual(parseReporters(''), undefined);
+      assert.deepStrictEqual(parseReporters('spec,,'), [{ name: 'spec', output: undefined }]);
+    });
+  });
+
+  describe('formatReporters', function () {
+    it('is the inverse of parseReporters', function () {
+      const list = 'spec,xunit:out/server.xml';
+      assert.strictEqual(formatReporters(parseReporters(list)), list);
+    });
+  });
+
+  describe('createMultiReporter', function () {
+    function runWith(reporters) {
+      const files = {};
+      const consoleChunks = [];
+      const MultiReporter = createMultiReporter(Mocha, parseReporters(reporters), {
+        write: (output, chunk) => {
+          files[output] = (files[output] || '') + chunk;
+        },
+        console: (chunk) => consoleChunks.push(chunk),
+        stdout: process.stdout,
+      });
+      const mocha = new Mocha({ reporter: MultiReporter });
+      const suite = Mocha.Suite.create(mocha.suite, 'numbers');
+      suite.addTest(new Mocha.Test('adds', () => {}));
+      suite.addTest(new Mocha.Test('divides', () => { throw new Error('division by zero'); }));
+      return new Promise((resolve) => {
+        mocha.run((failures) => resolve({ failures, files, console: consoleChunks.join('') }));
+      });
+    }
+
+    it('sends each reporter to its file or to the console', async function () {
+      const { failures, files, console } = await runWith('spec,xunit:out/server.xml');
+      assert.strictEqual(failures, 1);
+      assert.deepStrictEqual(Object.keys(files), ['out/server.xml']);
+      assert.ok(/<testsuite name="Mocha Tests" tests="2"/.test(files['out/server.xml']));
+      assert.ok(/division by zero/.test(files['out/server.xml']));
+      assert.ok(/numbers/.test(console));
+      assert.ok(/1 passing/.test(console));
+      assert.ok(!/<testsuite/.test(console));
+    });
+
+    it('throws for an unknown reporter', function () {
+      assert.throws(() => createMultiReporter(Mocha, parseReporters('nope'), {}), /Unknown reporter: nope/);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import assert from 'assert';
+import Mocha from 'mocha';
+import {
+  findFile,
+  forwardRunnerEvents,
+  serializeError,
+  streamRunnerEvents,
+} from '../../package/runnerEvents';
+
+const ANSI = /\u001b\[/; // eslint-disable-line no-control-regex
+
+// A retried test, a failed comparison, a pending test and a failing hook
+function buildMocha() {
+  const mocha = new Mocha({ reporter: Mocha.reporters.Base });
+  const math = Mocha.Suite.create(mocha.suite, 'math');
+  math.file = '/tests/math.test.js';
+  let attempts = 0;
+  const flaky = new Mocha.Test('flaky', () => {
+    attempts += 1;
+    if (attempts === 1) throw new Error('first attempt');
+  });
+  math.addTest(flaky);
+  flaky.retries(1); // addTest sets the retries of the suite
+  math.addTest(new Mocha.Test('compares', () => assert.deepStrictEqual({ sum: 3 }, { sum: 4 })));
+  math.addTest(new Mocha.Test('later'));
+  const hooks = Mocha.Suite.create(math, 'hooks');
+  hooks.beforeEach('prepare', () => { throw new Error('hook failed'); });
+  hooks.addTest(new Mocha.Test('never runs', () => {}));
+  return mocha;
+}
+
+// Diffs and stacks should be color-free even when the reporters use colors
+async function withColors(fn) {
+  const { useColors } = Mocha.reporters.Base;
+  Mocha.reporters.Base.useColors = true;
+  try {
+    return await fn();
+  } finally {
+    Mocha.reporters.Base.useColors = useColors;
+  }
+}
+
+function runWith(listen) {
+  return withColors(() => {
+    const mocha = buildMocha();
+    const events = [];
+    const runner = mocha.run();
+    listen(runner, (event) => events.push(event));
+    return new Promise((resolve) => {
+      runner.on('end', () => resolve(events));
+    });
+  });
+}
+
+describe('runnerEvents', function () {
+  describe('findFile', function () {
+    it('walks up the parents to the first one with a file', function () {
+      const suite = new Mocha.Suite('outer');
+      suite.file = '/tests/outer.test.js';
+      const inner = Mocha.Suite.create(suite, 'inner');
+      const test = new Mocha.Test('works', () => {});
+      inner.addTest(test);
+      assert.strictEqual(findFile(test), '/tests/outer.test.js');
+      assert.strictEqual(findFile(new Mocha.Test('alone')), undefined);
+    });
+  });
+
+  describe('serializeError', function () {
+    it('keeps the message and stack, and a diff without colors', async function () {
+      let err;
+      try {
+        assert.strictEqual('abc', 'abd');
+      } catch (e) {
+        err = e;
+      }
+      const data = await withColors(() => serializeError(err, Mocha));
+      assert.strictEqual(data.message, err.message);
+      assert.strictEqual(data.stack, err.stack);
+      assert.strictEqual(data.actual, 'abc');
+      assert.strictEqual(data.expected, 'abd');
+      assert.ok(/abd/.test(data.diff));
+      assert.ok(!ANSI.test(data.diff));
+    });
+
+    it('stringifies objects and leaves out the diff when the error asks for none', function () {
+      const data = serializeError({ message: 'objects', actual: { a: 1 }, expected: { a: 2 } }, Mocha);
+      assert.strictEqual(data.actual, '{\n  "a": 1\n}');
+      assert.strictEqual(data.expected, '{\n  "a": 2\n}');
+      const plain = serializeError({ message: 'plain', showDiff: false, actual: 1, expected: 2 }, Mocha);
+      assert.strictEqual(plain.diff, undefined);
+      assert.strictEqual(plain.actual, undefined);
+      assert.strictEqual(serializeError(undefined, Mocha), undefined);
+    });
+  });
+
+  describe('forwardRunnerEvents', function () {
+    it('forwards tests with their file and retries, and failing hooks with their suite', async function () {
+      const events = await runWith((runner, emit) => forwardRunnerEvents(runner, emit, Mocha));
+
+      assert.ok(!events.some((event) => event.type === 'suite' && event.fullTitle === ''));
+
+      const retry = events.find((event) => event.type === 'retry');
+      assert.strictEqual(retry.fullTitle, 'math flaky');
+      assert.strictEqual(retry.err.message, 'first attempt');
+
+      const passed = events.find((event) => event.type === 'pass');
+      assert.deepStrictEqual(
+        { fullTitle: passed.fullTitle, file: passed.file, kind: passed.kind, retries: passed.retries },
+        { fullTitle: 'math flaky', file: '/tests/math.test.js', kind: 'test', retries: 1 },
+      );
+
+      const [compared, hook] = events.filter((event) => event.type === 'fail');
+      assert.strictEqual(compared.fullTitle, 'math compares');
+      assert.ok(!ANSI.test(compared.err.diff));
+      assert.ok(!ANSI.test(compared.err.stack));
+      assert.strictEqual(hook.kind, 'hook');
+      assert.strictEqual(hook.title, '"before each" hook: prepare for "never runs"');
+      assert.strictEqual(hook.suiteTitle, 'math hooks');
+      assert.strictEqual(hook.file, '/tests/math.test.js');
+      assert.strictEqual(hook.err.message, 'hook failed');
+
+      assert.deepStrictEqual(
+        events.filter((event) => event.type === 'pending').map((event) => event.fullTitle),
+        ['math later'],
+      );
+    });
+  });
+
+  describe('streamRunnerEvents', function () {
+    it('streams every event with ids that rebuild the tree', async function () {
+      const events = await runWith((runner, emit) => streamRunnerEvents(runner, emit, Mocha));
+
+      assert.strictEqual(events[0].type, 'start');
+      assert.strictEqual(events[0].total, 4);
+      assert.strictEqual(events[events.length - 1].type, 'end');
+
+      const suites = events.filter((event) => event.type === 'suite').map((event) => event.runnable);
+      const [root, math, hooks] = suites;
+      assert.strictEqual(root.root, true);
+      assert.strictEqual(math.parentId, root.id);
+      assert.strictEqual(hooks.parentId, math.id);
+      assert.strictEqual(math.kind, 'suite');
+
+      // Mocha runs a retry on a clone of the test, which counts the attempts
+      const retry = events.find((event) => event.type === 'retry');
+      const pass = events.find((event) => event.type === 'pass');
+      assert.strictEqual(retry.runnable.title, 'flaky');
+      assert.strictEqual(pass.runnable.title, 'flaky');
+      assert.strictEqual(retry.runnable.currentRetry, 0);
+      assert.strictEqual(pass.runnable.currentRetry, 1);
+      assert.strictEqual(pass.runnable.parentId, math.id);
+      assert.strictEqual(pass.runnable.file, '/tests/math.test.js');
+
+      const pending = events.find((event) => event.type === 'pending');
+      assert.strictEqual(pending.runnable.pending, true);
+
+      const hookFail = events.find((event) => event.type === 'fail' && event.runnable.kind === 'hook');
+      assert.strictEqual(hookFail.runnable.parentId, hooks.id);
+      assert.strictEqual(hookFail.err.message, 'hook failed');
+      assert.ok(!ANSI.test(hookFail.err.stack));
+
+      const testFail = events.find((event) => event.type === 'fail' && event.runnable.kind === 'test');
+      assert.strictEqual(testFail.runnable.state, 'failed');
+      assert.ok(testFail.err.diff);
+      assert.ok(!ANSI.test(testFail.err.diff));
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import assert from 'assert';
+import Mocha from 'mocha';
+import createRunnerFromEvents from '../../package/server.clientRunner';
+import { streamRunnerEvents } from '../../package/runnerEvents';
+
+// Runs a suite with a retried test, a failed comparison, a pending test and a
+// failing hook, and returns the events the browser would send
+function streamRun() {
+  const mocha = new Mocha({ reporter: Mocha.reporters.Base });
+  const page = Mocha.Suite.create(mocha.suite, 'page');
+  let attempts = 0;
+  const flaky = new Mocha.Test('flaky', () => {
+    attempts += 1;
+    if (attempts === 1) throw new Error('first attempt');
+  });
+  page.addTest(flaky);
+  flaky.retries(1); // addTest sets the retries of the suite
+  page.addTest(new Mocha.Test('compares', () => assert.strictEqual('abc', 'abd')));
+  page.addTest(new Mocha.Test('later'));
+  const form = Mocha.Suite.create(page, 'form');
+  form.beforeEach('render', () => { throw new Error('render failed'); });
+  form.addTest(new Mocha.Test('submits', () => {}));
+
+  const events = [];
+  const runner = mocha.run();
+  // A round trip through JSON, like the events posted by the browser
+  streamRunnerEvents(runner, (event) => events.push(JSON.parse(JSON.stringify(event))), Mocha);
+  return new Promise((resolve) => {
+    runner.on('end', () => resolve(events));
+  });
+}
+
+// Records what a reporter listening to the runner would see
+function record(runner) {
+  const calls = [];
+  ['start', 'end', 'suite', 'suite end', 'test', 'test end', 'hook', 'hook end', 'pass', 'fail', 'pending', 'retry'].forEach((type) => {
+    runner.on(type, (runnable, err) => calls.push({ type, runnable, err }));
+  });
+  return calls;
+}
+
+describe('server.clientRunner', function () {
+  let events;
+  before(async function () {
+    events = await streamRun();
+  });
+
+  it('emits the events of the run with real suites and tests', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    const calls = record(runner);
+    events.forEach(handle);
+
+    assert.deepStrictEqual(calls.map(({ type }) => type), events.map(({ type }) => type));
+    const passed = calls.find(({ type }) => type === 'pass').runnable;
+    assert.ok(passed instanceof Mocha.Test);
+    assert.strictEqual(passed.fullTitle(), 'page flaky');
+    assert.strictEqual(passed.state, 'passed');
+    assert.strictEqual(typeof passed.duration, 'number');
+    assert.strictEqual(typeof passed.slow(), 'number');
+    assert.strictEqual(passed.parent.parent, runner.suite);
+    assert.strictEqual(calls[0].type, 'start');
+    assert.strictEqual(calls.find(({ type }) => type === 'suite').runnable, runner.suite);
+  });
+
+  it('counts the stats the way Mocha does', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    events.forEach(handle);
+    const { stats } = runner;
+    assert.strictEqual(runner.total, 4);
+    assert.deepStrictEqual(
+      {
+        suites: stats.suites, tests: stats.tests, passes: stats.passes, pending: stats.pending, failures: stats.failures,
+      },
+      {
+        suites: 2, tests: 3, passes: 1, pending: 1, failures: 2,
+      },
+    );
+    assert.ok(stats.duration >= 0);
+  });
+
+  it('passes retries on with the attempt they were', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    const calls = record(runner);
+    events.forEach(handle);
+    const retry = calls.find(({ type }) => type === 'retry');
+    assert.strictEqual(retry.runnable.fullTitle(), 'page flaky');
+    assert.strictEqual(retry.runnable.currentRetry(), 0);
+    assert.strictEqual(retry.err.message, 'first attempt');
+    const passed = calls.find(({ type }) => type === 'pass');
+    assert.strictEqual(passed.runnable.currentRetry(), 1);
+  });
+
+  it('rebuilds failures with their diff, and failing hooks in their suite', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    const calls = record(runner);
+    events.forEach(handle);
+    const [compared, hook] = calls.filter(({ type }) => type === 'fail');
+
+    assert.strictEqual(compared.runnable.fullTitle(), 'page compares');
+    assert.strictEqual(compared.err.actual, 'abc');
+    assert.strictEqual(compared.err.expected, 'abd');
+    assert.ok(/abd/.test(compared.err.stack));
+
+    assert.ok(hook.runnable instanceof Mocha.Hook);
+    assert.strictEqual(hook.runnable.parent.fullTitle(), 'page form');
+    assert.strictEqual(hook.runnable.title, '"before each" hook: render for "submits"');
+    assert.strictEqual(hook.err.message, 'render failed');
+    assert.strictEqual(hook.err.showDiff, false);
+  });
+
+  it('marks pending tests', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    const calls = record(runner);
+    events.forEach(handle);
+    const pending = calls.filter(({ type }) => type === 'pending').map(({ runnable }) => runnable);
+    assert.deepStrictEqual(pending.map((test) => test.fullTitle()), ['page later']);
+    assert.strictEqual(pending[0].pending, true);
+  });
+
+  it('feeds a Mocha reporter', function () {
+    const { runner, handle } = createRunnerFromEvents(Mocha);
+    const output = [];
+    // The JSON reporter collects from the events and writes its result at the end
+    const { write } = process.stdout;
+    process.stdout.write = (chunk) => output.push(chunk);
+    try {
+      // eslint-disable-next-line no-new
+      new Mocha.reporters.JSON(runner, {});
+      events.forEach(handle);
+    } finally {
+      process.stdout.write = write;
+    }
+    const result = JSON.parse(output.join(''));
+    assert.deepStrictEqual(result.passes.map((test) => test.fullTitle), ['page flaky']);
+    assert.deepStrictEqual(result.pending.map((test) => test.fullTitle), ['page later']);
+    assert.deepStrictEqual(result.failures.map((test) => test.fullTitle), [
+      'page compares', 'page form "before each" hook: render for "submits"',
+    ]);
+    assert.strictEqual(result.stats.failures, 2);
+  });
+
+  it('ends the run once, even if the browser never sent the end', function () {
+    const { runner, handle, end } = createRunnerFromEvents(Mocha);
+    const calls = record(runner);
+    events.filter(({ type }) => type !== 'end').forEach(handle);
+    end();
+    end();
+    handle({ type: 'end' });
+    handle({ type: 'pass', runnable: { id: 99, kind: 'test', title: 'late' } });
+    assert.strictEqual(calls.filter(({ type }) => type === 'end').length, 1);
+    assert.strictEqual(calls[calls.length - 1].type, 'end');
+  });
+});
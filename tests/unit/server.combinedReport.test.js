@@ -0,0 +1,95 @@
+import assert from 'assert';
+import { buildCombinedJson, buildCombinedXml, createResultCollector } from '../../package/server.combinedReport';
+
+// Collectors with fixed times, fed the events `forwardRunnerEvents` sends
+function collectResults() {
+  const server = createResultCollector('server', 'unit');
+  server.start();
+  server.record({ type: 'pass', title: 'adds', fullTitle: 'math adds', file: 'tests/math.test.js', duration: 12 });
+  server.record({ type: 'retry', title: 'divides', fullTitle: 'math divides', err: { message: 'flaky <timeout>', stack: 'Error: flaky <timeout>' } });
+  server.record({ type: 'pass', title: 'divides', fullTitle: 'math divides', file: 'tests/math.test.js', duration: 3, retries: 1 });
+  server.record({ type: 'pending', title: 'rounds', fullTitle: 'math rounds', file: 'tests/math.test.js' });
+  server.startedAt = new Date('2026-01-01T10:00:00.000Z');
+  server.finishedAt = new Date('2026-01-01T10:00:02.000Z');
+
+  const client = createResultCollector('client', 'unit');
+  client.start();
+  client.record({ type: 'fail', title: 'renders', fullTitle: 'page renders', duration: 40, err: { message: 'expected "a" & \u001b[31mb', stack: 'Error: expected' } });
+  client.record({
+    type: 'fail', kind: 'hook', title: '"before all" hook', fullTitle: 'page "before all" hook', suiteTitle: 'page', err: { message: 'no window' },
+  });
+  client.startedAt = new Date('2026-01-01T10:00:01.000Z');
+  client.finishedAt = new Date('2026-01-01T10:00:05.000Z');
+
+  return [server, client];
+}
+
+describe('server.combinedReport', function () {
+  describe('createResultCollector', function () {
+    it('records tests with their suite, and the failed attempts of tests that passed on retry', function () {
+      const [server, client] = collectResults();
+      assert.deepStrictEqual(server.tests.map(({ fullTitle, suite, state, flaky }) => ({ fullTitle, suite, state, flaky })), [
+        { fullTitle: 'math adds', suite: 'math', state: 'passed', flaky: undefined },
+        { fullTitle: 'math divides', suite: 'math', state: 'passed', flaky: true },
+        { fullTitle: 'math rounds', suite: 'math', state: 'pending', flaky: undefined },
+      ]);
+      assert.deepStrictEqual(server.tests[1].attempts, [{ message: 'flaky <timeout>', stack: 'Error: flaky <timeout>' }]);
+      assert.strictEqual(client.tests[1].suite, 'page');
+    });
+
+    it('drops the results of the previous run when it starts again', function () {
+      const [server] = collectResults();
+      server.start();
+      assert.deepStrictEqual(server.tests, []);
+      assert.strictEqual(server.finishedAt, null);
+    });
+  });
+
+  describe('buildCombinedJson', function () {
+    it('counts every side and the whole run, in wall time', function () {
+      const { stats, sides, tests } = buildCombinedJson(collectResults());
+      assert.deepStrictEqual(stats, {
+        tests: 5,
+        passes: 2,
+        failures: 2,
+        pending: 1,
+        flaky: 1,
+        duration: 5000,
+        start: '2026-01-01T10:00:00.000Z',
+        end: '2026-01-01T10:00:05.000Z',
+      });
+      assert.deepStrictEqual(sides.server, {
+        mode: 'unit',
+        tests: 3,
+        passes: 2,
+        failures: 0,
+        pending: 1,
+        flaky: 1,
+        duration: 2000,
+        start: '2026-01-01T10:00:00.000Z',
+        end: '2026-01-01T10:00:02.000Z',
+      });
+      assert.strictEqual(sides.client.failures, 2);
+      assert.deepStrictEqual(tests.map(({ side }) => side), ['server', 'server', 'server', 'client', 'client']);
+    });
+  });
+
+  describe('buildCombinedXml', function () {
+    it('writes a test suite per side', function () {
+      const xml = buildCombinedXml(collectResults());
+      assert.ok(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Mocha Tests" tests="5" failures="2" skipped="1" time="5.000">\n/.test(xml));
+      assert.ok(/<testsuite name="unit server" tests="3" failures="0" errors="0" skipped="1" time="2.000" timestamp="2026-01-01T10:00:00">/.test(xml));
+      assert.ok(/<testsuite name="unit client" tests="2" failures="2" errors="0" skipped="0" time="4.000" timestamp="2026-01-01T10:00:01">/.test(xml));
+      assert.ok(/<testcase classname="server.math" name="adds" time="0.012" file="tests\/math.test.js">/.test(xml));
+      assert.ok(/<testcase classname="server.math" name="rounds" time="0.000" file="tests\/math.test.js">\n(.*\n){4} {6}<skipped\/>/.test(xml));
+      assert.ok(xml.endsWith('</testsuites>\n'));
+    });
+
+    it('reports the attempts of flaky tests, and escapes failure messages', function () {
+      const xml = buildCombinedXml(collectResults());
+      assert.ok(/<flakyFailure message="flaky &lt;timeout&gt;">\n {8}<stackTrace>Error: flaky &lt;timeout&gt;<\/stackTrace>/.test(xml));
+      assert.ok(/<failure message="expected &quot;a&quot; &amp; \[31mb">Error: expected<\/failure>/.test(xml));
+      assert.ok(/<testcase classname="client.page" name="&quot;before all&quot; hook" time="0.000">/.test(xml));
+    });
+  });
+});
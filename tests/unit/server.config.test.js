@@ -0,0 +1,220 @@
+import assert from 'assert';
+import path from 'path';
+import loadConfig, { PARSERS, closest, describeConfig } from '../../package/server.config';
+
+// No mocha.config.js in here
+const appDir = path.join(__dirname, 'fixtures');
+
+// Runs `fn` and returns what it passed to console.warn
+function warningsOf(fn) {
+  const { warn } = console;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+describe('server.config', function () {
+  describe('PARSERS', function () {
+    describe('boolean', function () {
+      it('accepts 1/0, true/false, yes/no and on/off in any case', function () {
+        ['1', 'true', 'TRUE', 'yes', ' on ', true].forEach((value) => assert.strictEqual(PARSERS.boolean(value), true, value));
+        ['0', 'false', 'False', 'no', 'off', '', false].forEach((value) => assert.strictEqual(PARSERS.boolean(value), false, value));
+      });
+
+      it('rejects other values, which used to count as on', function () {
+        ['always', '2', 'y'].forEach((value) => {
+          assert.throws(() => PARSERS.boolean(value), /expected 1, true, 0 or false/, value);
+        });
+      });
+    });
+
+    describe('string', function () {
+      it('takes strings and numbers', function () {
+        assert.strictEqual(PARSERS.string('dot'), 'dot');
+        assert.strictEqual(PARSERS.string(3000), '3000');
+        assert.throws(() => PARSERS.string(['dot']), /expected a string/);
+      });
+    });
+
+    describe('flag', function () {
+      it('takes only 1 and 0, like meteor-coverage', function () {
+        assert.strictEqual(PARSERS.flag('1'), true);
+        assert.strictEqual(PARSERS.flag('0'), false);
+        ['true', 'yes', 'on', ' 1'].forEach((value) => assert.throws(() => PARSERS.flag(value), /expected 1 or 0/, value));
+      });
+    });
+
+    describe('integer', function () {
+      it('takes whole numbers within range', function () {
+        assert.strictEqual(PARSERS.integer(' 4 ', { min: 1 }), 4);
+        assert.strictEqual(PARSERS.integer(0, { min: 0 }), 0);
+        assert.throws(() => PARSERS.integer('1.5', {}), /expected a whole number/);
+        assert.throws(() => PARSERS.integer('', {}), /expected a whole number/);
+        assert.throws(() => PARSERS.integer('0', { min: 1 }), /expected 1 or more/);
+      });
+    });
+
+    describe('duration', function () {
+      it('takes milliseconds or a duration Mocha understands, and false for no timeout', function () {
+        assert.strictEqual(PARSERS.duration('2000'), 2000);
+        assert.strictEqual(PARSERS.duration(500), 500);
+        assert.strictEqual(PARSERS.duration('1.5s'), '1.5s');
+        assert.strictEqual(PARSERS.duration(false), 0);
+        assert.throws(() => PARSERS.duration('soon'), /expected milliseconds/);
+        assert.throws(() => PARSERS.duration(-1), /expected milliseconds/);
+      });
+    });
+
+    describe('enum', function () {
+      it('takes only the listed values', function () {
+        const setting = { values: ['before', 'after', 'both'] };
+        assert.strictEqual(PARSERS.enum('both', setting), 'both');
+        assert.throws(() => PARSERS.enum('always', setting), /expected one of before, after, both/);
+      });
+    });
+
+    describe('list', function () {
+      it('takes arrays or comma-separated strings', function () {
+        assert.deepStrictEqual(PARSERS.list('users, orders,,'), ['users', 'orders']);
+        assert.deepStrictEqual(PARSERS.list(['users', ' orders ']), ['users', 'orders']);
+      });
+    });
+
+    describe('report', function () {
+      it('turns a report on or off', function () {
+        ['1', 'true', 'YES', 'on', true].forEach((value) => assert.strictEqual(PARSERS.report(value), true, value));
+        ['0', 'false', 'no', 'Off', false].forEach((value) => assert.strictEqual(PARSERS.report(value), false, value));
+      });
+
+      it('takes a file name with an extension or a path', function () {
+        assert.strictEqual(PARSERS.report(' lcov/app.info '), 'lcov/app.info');
+        assert.strictEqual(PARSERS.report('summary.json'), 'summary.json');
+        assert.strictEqual(PARSERS.report('html/'), 'html/');
+      });
+
+      it('rejects other words', function () {
+        ['enabled', 'y', 'html'].forEach((value) => {
+          assert.throws(() => PARSERS.report(value), /expected 1, 0, or a file name/, value);
+        });
+      });
+    });
+  });
+
+  describe('closest', function () {
+    it('suggests the closest candidate within two edits, ignoring case', function () {
+      assert.strictEqual(closest('MOCHA_TIMOUT', ['MOCHA_TIMEOUT', 'MOCHA_GREP']), 'MOCHA_TIMEOUT');
+      assert.strictEqual(closest('dbresetwhen', ['dbResetWhen', 'dbReset']), 'dbResetWhen');
+      assert.strictEqual(closest('reporterz', ['reporter', 'serverReporter']), 'reporter');
+      assert.strictEqual(closest('somethingElse', ['reporter']), null);
+    });
+  });
+
+  describe('loadConfig', function () {
+    it('uses the environment over the settings over the defaults', function () {
+      const { values, origins } = loadConfig({
+        appDir,
+        settings: { timeout: 5000, retries: 2, dbResetCollections: ['users'] },
+        env: { MOCHA_RETRIES: '3', TEST_PARALLEL: '0', PATH: '/usr/bin' },
+      });
+      assert.strictEqual(values.MOCHA_TIMEOUT, 5000);
+      assert.strictEqual(origins.MOCHA_TIMEOUT, 'Meteor.settings.mocha');
+      assert.strictEqual(values.MOCHA_RETRIES, 3);
+      assert.strictEqual(origins.MOCHA_RETRIES, 'environment');
+      assert.deepStrictEqual(values.TEST_DB_RESET_COLLECTIONS, ['users']);
+      assert.strictEqual(values.TEST_PARALLEL, false);
+      assert.strictEqual(values.TEST_CLIENT, true);
+      assert.strictEqual(origins.TEST_CLIENT, 'default');
+      assert.strictEqual(values.MOCHA_GREP, undefined);
+    });
+
+    it('treats an empty variable as not set', function () {
+      const { values } = loadConfig({ appDir, settings: { server: false }, env: { TEST_SERVER: '' } });
+      assert.strictEqual(values.TEST_SERVER, false);
+    });
+
+    it('ignores invalid values with a warning and keeps the default', function () {
+      let config;
+      const warnings = warningsOf(() => {
+        config = loadConfig({ appDir, env: { TEST_PARALLEL: 'always', TEST_SERVER_WORKERS: '0' } });
+      });
+      assert.strictEqual(config.values.TEST_PARALLEL, false);
+      assert.strictEqual(config.values.TEST_SERVER_WORKERS, 1);
+      assert.deepStrictEqual(warnings, [
+        'Ignoring parallel (TEST_PARALLEL) from environment: "always", expected 1, true, 0 or false',
+        'Ignoring serverWorkers (TEST_SERVER_WORKERS) from environment: "0", expected 1 or more',
+      ]);
+    });
+
+    it('keeps the value of the source before an invalid one', function () {
+      let config;
+      const warnings = warningsOf(() => {
+        config = loadConfig({ appDir, settings: { timeout: 5000 }, env: { MOCHA_TIMEOUT: 'abc' } });
+      });
+      assert.strictEqual(config.values.MOCHA_TIMEOUT, 5000);
+      assert.strictEqual(config.origins.MOCHA_TIMEOUT, 'Meteor.settings.mocha');
+      assert.deepStrictEqual(warnings, [
+        'Ignoring timeout (MOCHA_TIMEOUT) from environment: "abc", expected milliseconds or a duration like 2s',
+      ]);
+    });
+
+    it('suggests the closest key for unknown settings and misspelled variables', function () {
+      const warnings = warningsOf(() => loadConfig({
+        appDir,
+        settings: { timout: 100, colour: true },
+        env: { MOCHA_TIMOUT: '100', TEST_REGRESSION_THRESHOLD: '20', TEST_SOMETHING_ELSE: '1', HOME: '/root' },
+      }));
+      assert.deepStrictEqual(warnings, [
+        'Unknown setting "timout" in Meteor.settings.mocha, did you mean "timeout"?',
+        'Unknown setting "colour" in Meteor.settings.mocha',
+        'Unknown environment variable MOCHA_TIMOUT, did you mean MOCHA_TIMEOUT?',
+      ]);
+    });
+
+    it('only reads the settings other packages read from the environment there', function () {
+      const env = { COVERAGE_VERBOSE: '1' };
+      let config;
+      const warnings = warningsOf(() => {
+        config = loadConfig({ appDir, settings: { coverage: true, browserDriver: 'puppeteer', coverageVerbose: false }, env });
+      });
+      assert.strictEqual(config.values.COVERAGE, false);
+      assert.strictEqual(config.values.TEST_BROWSER_DRIVER, undefined);
+      assert.strictEqual(config.values.COVERAGE_VERBOSE, true);
+      assert.deepStrictEqual(env, { COVERAGE_VERBOSE: '1' });
+      assert.deepStrictEqual(warnings, [
+        'Ignoring coverage (COVERAGE) from Meteor.settings.mocha: other packages read it from the environment, so set COVERAGE there',
+        'Ignoring browserDriver (TEST_BROWSER_DRIVER) from Meteor.settings.mocha: other packages read it from the environment, so set TEST_BROWSER_DRIVER there',
+        'Ignoring coverageVerbose (COVERAGE_VERBOSE) from Meteor.settings.mocha: other packages read it from the environment, so set COVERAGE_VERBOSE there',
+      ]);
+    });
+
+    it('warns about COVERAGE values meteor-coverage does not turn on for', function () {
+      let config;
+      const warnings = warningsOf(() => {
+        config = loadConfig({ appDir, env: { COVERAGE: 'true' } });
+      });
+      assert.strictEqual(config.values.COVERAGE, false);
+      assert.deepStrictEqual(warnings, ['Ignoring coverage (COVERAGE) from environment: "true", expected 1 or 0']);
+    });
+
+    it('only reads the worker index from the environment, and does not list it', function () {
+      let config;
+      const warnings = warningsOf(() => {
+        config = loadConfig({ appDir, settings: { workerIndex: 2, TEST_WORKER_INDEX: 3 }, env: {} });
+      });
+      assert.strictEqual(config.values.TEST_WORKER_INDEX, 0);
+      assert.deepStrictEqual(warnings, [
+        'Unknown setting "workerIndex" in Meteor.settings.mocha',
+        'Unknown setting "TEST_WORKER_INDEX" in Meteor.settings.mocha',
+      ]);
+
+      const worker = loadConfig({ appDir, env: { TEST_WORKER_INDEX: '2' } });
+      assert.strictEqual(worker.values.TEST_WORKER_INDEX, 2);
+      assert.ok(!describeConfig(worker).some(({ env }) => env === 'TEST_WORKER_INDEX'));
+    });
+  });
+});
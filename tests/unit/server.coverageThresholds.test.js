@@ -0,0 +1,102 @@
+import assert from 'assert';
+import {
+  checkCoverageThresholds, coveredPercent, globToRegExp, parseCoverageThresholds,
+} from '../../package/server.coverageThresholds';
+
+// A json-summary report with the totals of each metric
+function totals(lines, branches = lines, functions = lines, statements = lines) {
+  const entry = ([covered, total]) => ({ covered, total });
+  return { lines: entry(lines), branches: entry(branches), functions: entry(functions), statements: entry(statements) };
+}
+
+const summary = {
+  total: totals([75, 100], [5, 10]),
+  '/app/imports/api/users.js': totals([45, 50]),
+  'imports/api/posts.js': totals([10, 20]),
+  'imports/ui/page.jsx': totals([20, 30]),
+};
+
+describe('server.coverageThresholds', function () {
+  describe('globToRegExp', function () {
+    const matches = (glob, file) => globToRegExp(glob).test(file);
+
+    it('matches across directories with **, and within one with * and ?', function () {
+      assert.ok(matches('imports/**', 'imports/api/users.js'));
+      assert.ok(matches('**/*.js', 'users.js'));
+      assert.ok(matches('imports/**/users.js', 'imports/users.js'));
+      assert.ok(matches('imports/*/users.js', 'imports/api/users.js'));
+      assert.ok(!matches('imports/*/users.js', 'imports/api/v2/users.js'));
+      assert.ok(matches('imports/api/user?.js', 'imports/api/users.js'));
+      assert.ok(!matches('imports/api/user?.js', 'imports/api/user/s.js'));
+    });
+
+    it('matches either alternative in braces', function () {
+      assert.ok(matches('imports/{api,ui}/**', 'imports/ui/page.jsx'));
+      assert.ok(matches('**/*.{js,jsx}', 'imports/ui/page.jsx'));
+      assert.ok(!matches('imports/{api,ui}/**', 'imports/lib/util.js'));
+    });
+
+    it('matches other characters literally', function () {
+      assert.ok(matches('imports/a+b (1).js', 'imports/a+b (1).js'));
+      assert.ok(!matches('imports/a.js', 'imports/abjs'));
+    });
+  });
+
+  describe('parseCoverageThresholds', function () {
+    it('parses minimums for all files and for globs', function () {
+      assert.deepStrictEqual(parseCoverageThresholds({ lines: '80, imports/api/**=90', branches: 'imports/{api,ui}/**=50' }), [
+        { metric: 'lines', glob: null, minimum: 80 },
+        { metric: 'lines', glob: 'imports/api/**', minimum: 90 },
+        { metric: 'branches', glob: 'imports/{api,ui}/**', minimum: 50 },
+      ]);
+    });
+
+    it('ignores invalid entries', function () {
+      const { error } = console;
+      const errors = [];
+      console.error = (message) => errors.push(message);
+      try {
+        assert.deepStrictEqual(parseCoverageThresholds({ lines: 'abc,=50,70', functions: '' }), [
+          { metric: 'lines', glob: null, minimum: 70 },
+        ]);
+      } finally {
+        console.error = error;
+      }
+      assert.deepStrictEqual(errors, [
+        'Ignoring invalid coverage threshold for lines: abc',
+        'Ignoring invalid coverage threshold for lines: =50',
+      ]);
+    });
+  });
+
+  describe('coveredPercent', function () {
+    it('counts nothing to cover as fully covered', function () {
+      assert.strictEqual(coveredPercent(1, 4), 25);
+      assert.strictEqual(coveredPercent(0, 0), 100);
+    });
+  });
+
+  describe('checkCoverageThresholds', function () {
+    const check = (values) => checkCoverageThresholds(summary, parseCoverageThresholds(values), '/app')
+      .map(({ glob, actual, passed }) => ({ glob, actual, passed }));
+
+    it('checks the total of all files', function () {
+      assert.deepStrictEqual(check({ lines: '75', branches: '60' }), [
+        { glob: null, actual: 75, passed: true },
+        { glob: null, actual: 50, passed: false },
+      ]);
+    });
+
+    it('checks the combined coverage of the files matching a glob, relative to the app folder', function () {
+      assert.deepStrictEqual(check({ lines: 'imports/api/**=80,imports/ui/**=70' }), [
+        { glob: 'imports/api/**', actual: (55 / 70) * 100, passed: false },
+        { glob: 'imports/ui/**', actual: (20 / 30) * 100, passed: false },
+      ]);
+      assert.strictEqual(check({ lines: 'imports/api/users.js=90' })[0].passed, true);
+    });
+
+    it('fails a glob that matches no file', function () {
+      assert.deepStrictEqual(check({ lines: 'server/**=10' }), [{ glob: 'server/**', actual: null, passed: false }]);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import assert from 'assert';
+import formatTable from '../../package/server.formatTable';
+
+describe('server.formatTable', function () {
+  it('aligns the columns to their widest cell, under a rule', function () {
+    assert.deepStrictEqual(formatTable(['Metric', 'Actual'], [['lines', '75.00%'], ['branches', 'no files']]), [
+      '  Metric    Actual',
+      '  --------  --------',
+      '  lines     75.00%',
+      '  branches  no files',
+    ]);
+  });
+
+  it('prints the header alone without rows', function () {
+    assert.deepStrictEqual(formatTable(['Setting', 'From'], []), ['  Setting  From', '  -------  ----']);
+  });
+});
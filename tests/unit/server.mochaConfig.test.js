@@ -0,0 +1,61 @@
+import assert from 'assert';
+import path from 'path';
+import loadMochaConfig from '../../package/server.mochaConfig';
+
+const fixtures = path.join(__dirname, 'fixtures', 'mochaConfig');
+
+// Runs `fn` and returns its result along with what it passed to console.error
+function withErrors(fn) {
+  const { error } = console;
+  const errors = [];
+  console.error = (message) => errors.push(message);
+  try {
+    return { result: fn(), errors };
+  } finally {
+    console.error = error;
+  }
+}
+
+describe('server.mochaConfig', function () {
+  // The config files in .js and .cjs are loaded through Meteor's Npm.require
+  before(function () {
+    global.Npm = { require };
+  });
+  after(function () {
+    delete global.Npm;
+  });
+
+  it('merges package.json and the .mocharc files, each overriding the ones before it', function () {
+    assert.deepStrictEqual(loadMochaConfig(path.join(fixtures, 'all')), {
+      ui: 'bdd',
+      slow: 2,
+      retries: 3,
+      grep: '.mocharc.yml',
+      timeout: 5,
+      reporter: '.mocharc.js',
+    });
+  });
+
+  it('reads the command line spelling of options, and leaves out those it does not pass on', function () {
+    assert.deepStrictEqual(loadMochaConfig(path.join(fixtures, 'aliases')), {
+      reporter: 'dot',
+      reporterOptions: { output: 'out/server.xml', maxDiffSize: '0', verbose: true },
+      forbidOnly: true,
+      checkLeaks: true,
+      timeout: 0,
+      grep: 'users',
+      invert: true,
+    });
+  });
+
+  it('skips a file that fails to load, with an error', function () {
+    const { result, errors } = withErrors(() => loadMochaConfig(path.join(fixtures, 'broken')));
+    assert.deepStrictEqual(result, { bail: true });
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0].startsWith(`Failed to read the mocha options of ${path.join(fixtures, 'broken', '.mocharc.yaml')}: `));
+  });
+
+  it('returns no options without any config', function () {
+    assert.deepStrictEqual(loadMochaConfig(path.join(fixtures, 'missing')), {});
+  });
+});
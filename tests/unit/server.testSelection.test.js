@@ -0,0 +1,133 @@
+import assert from 'assert';
+import { Suite, Test } from 'mocha';
+import {
+  buildTitlesGrep,
+  escapeRegex,
+  findRunnableAtLine,
+  findSuitesForFile,
+  normalizePath,
+  pathMatchesPattern,
+} from '../../package/server.testSelection';
+
+// Declares a suite or test the way server.js records them: with the file and line of the call
+function addSuite(parent, title, file, line) {
+  const suite = Suite.create(parent, title);
+  Object.assign(suite, { file, line });
+  return suite;
+}
+
+function addTest(parent, title, file, line) {
+  const test = new Test(title, () => {});
+  Object.assign(test, { file, line });
+  parent.addTest(test);
+  return test;
+}
+
+// tests/users.test.js
+//  1 describe('users')
+//  2   it('creates')
+//  6   describe('login')
+//  7     it('accepts')
+// 12     it('rejects')
+// 20 describe('admins')
+// 21   it('lists')
+function buildRootSuite() {
+  const root = new Suite('', null, true);
+  const users = addSuite(root, 'users', '/tests/users.test.js', 1);
+  addTest(users, 'creates', '/tests/users.test.js', 2);
+  const login = addSuite(users, 'login', '/tests/users.test.js', 6);
+  addTest(login, 'accepts', '/tests/users.test.js', 7);
+  addTest(login, 'rejects', '/tests/users.test.js', 12);
+  const admins = addSuite(root, 'admins', '/tests/users.test.js', 20);
+  addTest(admins, 'lists', '/tests/users.test.js', 21);
+  const posts = addSuite(root, 'posts', '/tests/posts/posts.test.js', 1);
+  addTest(posts, 'publishes', '/tests/posts/posts.test.js', 2);
+  return root;
+}
+
+describe('server.testSelection', function () {
+  describe('normalizePath', function () {
+    it('strips leading slashes and uses forward slashes', function () {
+      assert.strictEqual(normalizePath('//tests/a.test.js'), 'tests/a.test.js');
+      assert.strictEqual(normalizePath('tests\\unit\\a.test.js'), 'tests/unit/a.test.js');
+      assert.strictEqual(normalizePath(undefined), undefined);
+    });
+  });
+
+  describe('pathMatchesPattern', function () {
+    it('matches whole path segments anywhere in the path', function () {
+      assert.strictEqual(pathMatchesPattern('tests/posts/posts.test.js', 'posts'), true);
+      assert.strictEqual(pathMatchesPattern('tests/posts/posts.test.js', 'tests/posts/'), true);
+      assert.strictEqual(pathMatchesPattern('tests/posts/posts.test.js', 'posts/posts.test.js'), true);
+    });
+
+    it('does not match partial segments or longer patterns', function () {
+      assert.strictEqual(pathMatchesPattern('tests/postsx/a.test.js', 'posts'), false);
+      assert.strictEqual(pathMatchesPattern('tests/posts/a.test.js', 'tests/post'), false);
+      assert.strictEqual(pathMatchesPattern('a.test.js', 'tests/a.test.js'), false);
+    });
+  });
+
+  describe('buildTitlesGrep', function () {
+    it('matches the given tests exactly and every test of the given suites', function () {
+      const grep = new RegExp(buildTitlesGrep([
+        { fullTitle: 'users creates', suite: false },
+        { fullTitle: 'users login', suite: true },
+      ]));
+      assert.ok(grep.test('users creates'));
+      assert.ok(grep.test('users login accepts'));
+      assert.ok(!grep.test('users creates twice'));
+      assert.ok(!grep.test('users loginx accepts'));
+      assert.ok(!grep.test('admins users creates'));
+    });
+
+    it('escapes regex characters in titles', function () {
+      assert.strictEqual(escapeRegex('a (b) [c].*'), 'a \\(b\\) \\[c\\]\\.\\*');
+      assert.ok(new RegExp(buildTitlesGrep([{ fullTitle: 'sum (1+1)', suite: false }])).test('sum (1+1)'));
+    });
+
+    it('matches every test for the root suite', function () {
+      assert.ok(new RegExp(buildTitlesGrep([{ fullTitle: '', suite: true }])).test('anything at all'));
+    });
+  });
+
+  describe('findSuitesForFile', function () {
+    it('returns the escaped titles of the suites declared in matching files', function () {
+      assert.deepStrictEqual(findSuitesForFile(buildRootSuite(), 'tests/users.test.js'), [
+        'users', 'users login', 'admins',
+      ]);
+      assert.deepStrictEqual(findSuitesForFile(buildRootSuite(), '/posts'), ['posts']);
+      assert.deepStrictEqual(findSuitesForFile(buildRootSuite(), 'missing.test.js'), []);
+    });
+  });
+
+  describe('findRunnableAtLine', function () {
+    const titleAt = (line, file = 'users.test.js') => {
+      const runnable = findRunnableAtLine(buildRootSuite(), file, line);
+      return runnable && runnable.fullTitle();
+    };
+
+    it('finds the test whose range contains the line', function () {
+      assert.strictEqual(titleAt(2), 'users creates');
+      assert.strictEqual(titleAt(7), 'users login accepts');
+      assert.strictEqual(titleAt(15), 'users login rejects');
+      assert.strictEqual(titleAt(21), 'admins lists');
+    });
+
+    it('finds the suite when the line is before its first child', function () {
+      assert.strictEqual(titleAt(1), 'users');
+      assert.strictEqual(titleAt(6), 'users login');
+      assert.strictEqual(titleAt(20), 'admins');
+    });
+
+    it('only looks at the runnables of the matching file', function () {
+      assert.strictEqual(titleAt(2, 'posts/posts.test.js'), 'posts publishes');
+      assert.strictEqual(titleAt(2, 'other.test.js'), null);
+    });
+
+    it('returns null before the first suite of the file', function () {
+      assert.strictEqual(titleAt(20, 'posts.test.js'), 'posts publishes');
+      assert.strictEqual(titleAt(0), null);
+    });
+  });
+});
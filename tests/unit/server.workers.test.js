@@ -0,0 +1,119 @@
+import assert from 'assert';
+import path from 'path';
+import {
+  buildWorkerEnv,
+  getWorkerCommand,
+  runWorker,
+  withDatabaseName,
+  withWorkerSuffix,
+} from '../../package/server.workers';
+
+const fixture = path.join(__dirname, 'fixtures', 'worker.js');
+const setup = path.join(__dirname, 'setup.js');
+
+describe('server.workers', function () {
+  describe('withDatabaseName', function () {
+    it('replaces the database name and keeps hosts, credentials and options', function () {
+      assert.strictEqual(withDatabaseName('mongodb://127.0.0.1:3001/meteor', 'meteor_worker_1'), 'mongodb://127.0.0.1:3001/meteor_worker_1');
+      assert.strictEqual(
+        withDatabaseName('mongodb://user:secret@a:27017,b:27017/app?replicaSet=rs0', 'app_worker_2'),
+        'mongodb://user:secret@a:27017,b:27017/app_worker_2?replicaSet=rs0',
+      );
+      assert.strictEqual(withDatabaseName('mongodb+srv://cluster.example.com/app', 'app_worker_1'), 'mongodb+srv://cluster.example.com/app_worker_1');
+    });
+
+    it('returns null without a database name', function () {
+      assert.strictEqual(withDatabaseName('mongodb://127.0.0.1:3001/', 'db'), null);
+      assert.strictEqual(withDatabaseName('mongodb://127.0.0.1:3001/?ssl=true', 'db'), null);
+      assert.strictEqual(withDatabaseName(undefined, 'db'), null);
+    });
+  });
+
+  describe('withWorkerSuffix', function () {
+    it('adds the worker index before the extension', function () {
+      assert.strictEqual(withWorkerSuffix('out/server.xml', 2), 'out/server.worker-2.xml');
+      assert.strictEqual(withWorkerSuffix('out.d/report', 1), 'out.d/report.worker-1');
+      assert.strictEqual(withWorkerSuffix(undefined, 1), undefined);
+    });
+  });
+
+  describe('buildWorkerEnv', function () {
+    it('gives the worker its own database and report files, and turns off what only the parent does', function () {
+      const env = buildWorkerEnv({
+        FOO: 'bar',
+        PORT: '3000',
+        METEOR_AUTO_RESTART: 'true',
+        TEST_WATCH: '1',
+        COVERAGE: '1',
+        SERVER_TEST_REPORTERS: 'spec,xunit:out/server.xml',
+      }, 2, 'mongodb://127.0.0.1:3001/meteor_worker_2', 'out/server.json');
+
+      assert.deepStrictEqual(env, {
+        FOO: 'bar',
+        PORT: '0',
+        MONGO_URL: 'mongodb://127.0.0.1:3001/meteor_worker_2',
+        TEST_CLIENT: '0',
+        TEST_WORKER_INDEX: '2',
+        TEST_WATCH: '0',
+        TEST_DAEMON: '0',
+        TEST_PARALLEL: '0',
+        COVERAGE: '0',
+        SERVER_MOCHA_OUTPUT: 'out/server.worker-2.json',
+        SERVER_TEST_REPORTERS: 'spec,xunit:out/server.worker-2.xml',
+      });
+    });
+  });
+
+  describe('getWorkerCommand', function () {
+    it('runs the same script with the same flags, minus the debugger', function () {
+      assert.deepStrictEqual(getWorkerCommand({
+        execPath: '/usr/bin/node',
+        execArgv: ['--inspect=9229', '--max-old-space-size=4096'],
+        argv: ['/usr/bin/node', __filename, 'program.json'],
+      }), {
+        command: '/usr/bin/node',
+        args: ['--max-old-space-size=4096', __filename, 'program.json'],
+      });
+    });
+
+    it('throws when the server was not started from a script file', function () {
+      assert.throws(() => getWorkerCommand({ execPath: '/usr/bin/node', execArgv: [], argv: ['/usr/bin/node'] }), /not started from a script file/);
+      assert.throws(() => getWorkerCommand({ execPath: '/usr/bin/node', execArgv: [], argv: ['/usr/bin/node', '/missing/main.js'] }), /missing\/main\.js/);
+    });
+  });
+
+  describe('runWorker', function () {
+    this.timeout(20000);
+
+    const run = (mode) => runWorker(3, {
+      command: process.execPath,
+      args: ['--require', setup, fixture, mode],
+      env: { ...process.env, TEST_WORKER_INDEX: '3' },
+    });
+
+    it('resolves with the result the worker sends and its output', async function () {
+      const result = await run('pass');
+      assert.strictEqual(result.index, 3);
+      assert.strictEqual(result.failures, 2);
+      assert.strictEqual(result.files, 3);
+      assert.deepStrictEqual(result.tests, [{ fullTitle: 'a test', state: 'failed' }]);
+      assert.strictEqual(result.crashed, undefined);
+      assert.ok(/worker 3 output/.test(result.output));
+    });
+
+    it('counts a worker that exits without a result as a crashed failure', async function () {
+      const result = await run('crash');
+      assert.strictEqual(result.index, 3);
+      assert.strictEqual(result.failures, 1);
+      assert.strictEqual(result.crashed, true);
+      assert.ok(/worker crashed/.test(result.output));
+      assert.ok(/Worker 3 exited with code 3 before finishing/.test(result.output));
+    });
+
+    it('counts a worker that cannot be started as a crashed failure', async function () {
+      const result = await runWorker(1, { command: path.join(__dirname, 'missing-node'), args: [], env: process.env });
+      assert.strictEqual(result.failures, 1);
+      assert.strictEqual(result.crashed, true);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+// Loads the package's modules in plain Node: compiles their ES module syntax,
+// and resolves `meteor/<package>` imports to the stubs in ./meteor
+const path = require('path');
+
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  only: [path.resolve(__dirname, '../../package'), __dirname],
+  plugins: [
+    '@babel/plugin-transform-modules-commonjs',
+    ['module-resolver', { alias: { '^meteor/(.+)$': path.join(__dirname, 'meteor', '\\1') } }],
+  ],
+});
@@ -0,0 +1,122 @@
+import assert from 'assert';
+import { Suite, Test } from 'mocha';
+import {
+  applyShard,
+  assignToShard,
+  getShardKey,
+  getShardWeights,
+  keepRootSuites,
+  parseShard,
+} from '../../package/testShards';
+
+// Root suites as the server sees them, with the file the describe() wrapper recorded,
+// and a test outside any suite
+function buildRootSuite() {
+  const root = new Suite('', null, true);
+  [['a', 'a.test.js'], ['b', 'b.test.js'], ['c', 'c.test.js'], ['c more', 'c.test.js'], ['no file']].forEach(([title, file]) => {
+    const suite = Suite.create(root, title);
+    suite.file = file;
+    suite.addTest(new Test('works', () => {}));
+  });
+  root.addTest(new Test('outside', () => {}));
+  return root;
+}
+
+const titles = (rootSuite) => rootSuite.suites.map(({ title }) => title);
+
+describe('testShards', function () {
+  describe('parseShard', function () {
+    it('parses an index and a count, counting from 1', function () {
+      assert.deepStrictEqual(parseShard('2/5'), { index: 2, count: 5 });
+      assert.deepStrictEqual(parseShard(' 1 / 1 '), { index: 1, count: 1 });
+    });
+
+    it('returns null for invalid shards', function () {
+      ['0/5', '6/5', '1/0', '2', 'a/b', '-1/2', '', undefined].forEach((value) => {
+        assert.strictEqual(parseShard(value), null, `${value} should be invalid`);
+      });
+    });
+  });
+
+  describe('assignToShard', function () {
+    it('deals out sorted keys in turn', function () {
+      const keys = ['d', 'b', 'a', 'c', 'e', 'a'];
+      assert.deepStrictEqual(assignToShard(keys, 1, 2), ['a', 'c', 'e']);
+      assert.deepStrictEqual(assignToShard(keys, 2, 2), ['b', 'd']);
+    });
+
+    it('balances the weights, counting keys without one as the average', function () {
+      const keys = ['a', 'b', 'c', 'd', 'e'];
+      const weights = new Map([['a', 10], ['b', 4], ['c', 3], ['d', 3]]);
+      // e weighs 5, the average: a goes to shard 1, e, b and c to shard 2, then d to the lighter shard 1
+      assert.deepStrictEqual(assignToShard(keys, 1, 2, weights), ['a', 'd']);
+      assert.deepStrictEqual(assignToShard(keys, 2, 2, weights), ['b', 'c', 'e']);
+    });
+
+    it('assigns every key to exactly one shard', function () {
+      const keys = Array.from({ length: 23 }, (value, position) => `file${position}.test.js`);
+      const weights = new Map(keys.slice(0, 10).map((key, position) => [key, position * 7]));
+      [undefined, weights].forEach((shardWeights) => {
+        const assigned = [1, 2, 3, 4].map((index) => assignToShard(keys, index, 4, shardWeights));
+        assert.deepStrictEqual([].concat(...assigned).sort(), [...keys].sort());
+      });
+    });
+  });
+
+  describe('getShardKey', function () {
+    it('uses the file of the suite, or its title', function () {
+      const root = buildRootSuite();
+      assert.deepStrictEqual(root.suites.map(getShardKey), ['a.test.js', 'b.test.js', 'c.test.js', 'c.test.js', 'title:no file']);
+      assert.strictEqual(getShardKey(Suite.create(root, '')), undefined);
+    });
+  });
+
+  describe('keepRootSuites', function () {
+    it('keeps the suites of the shard, and those without a key in the first shard', function () {
+      const first = buildRootSuite();
+      keepRootSuites(first, (suite) => suite.file, ['a.test.js'], true);
+      assert.deepStrictEqual(titles(first), ['a', 'no file']);
+      assert.strictEqual(first.tests.length, 1);
+
+      const other = buildRootSuite();
+      keepRootSuites(other, (suite) => suite.file, ['c.test.js'], false);
+      assert.deepStrictEqual(titles(other), ['c', 'c more']);
+      assert.strictEqual(other.tests.length, 0);
+    });
+  });
+
+  describe('getShardWeights', function () {
+    it('sums the durations of the side by file, or by title', function () {
+      const report = {
+        tests: [
+          { side: 'server', file: 'a.test.js', fullTitle: 'a works', duration: 5 },
+          { side: 'server', file: 'a.test.js', fullTitle: 'a again', duration: 7 },
+          { side: 'client', file: 'b.test.js', fullTitle: 'b works', duration: 100 },
+          { fullTitle: 'no file works', duration: 2 },
+        ],
+      };
+      assert.deepStrictEqual([...getShardWeights(report, 'server', buildRootSuite())], [
+        ['a.test.js', 12],
+        ['title:no file', 2],
+      ]);
+      assert.strictEqual(getShardWeights(undefined, 'server', buildRootSuite()).size, 0);
+    });
+  });
+
+  describe('applyShard', function () {
+    it('runs every test in exactly one shard, and the tests outside any suite in the first', function () {
+      const ran = [1, 2, 3].map((index) => {
+        const root = buildRootSuite();
+        const total = applyShard(root, { index, count: 3 }, 'server');
+        const tests = [...root.tests, ...[].concat(...root.suites.map((suite) => suite.tests))];
+        assert.strictEqual(total, tests.length);
+        return tests.map((test) => test.fullTitle());
+      });
+      assert.deepStrictEqual(ran, [
+        ['outside', 'a works', 'no file works'],
+        ['b works'],
+        ['c works', 'c more works'],
+      ]);
+    });
+  });
+});